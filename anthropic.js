@@ -0,0 +1,394 @@
+// Translation between the Anthropic Messages API and OpenAI chat completions
+
+const stopReasons = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// The stop sequence that ended a completion. Upstreams that report it name
+// it in stop_reason (vLLM) or matched_stop (SGLang), others may leave it at
+// the end of the text.
+function matchedStopSequence(choice, text, stopSequences) {
+  if (choice.finish_reason !== 'stop' || !Array.isArray(stopSequences) || stopSequences.length === 0) {
+    return null;
+  }
+  for (const reported of [choice.stop_reason, choice.matched_stop]) {
+    if (typeof reported === 'string' && stopSequences.includes(reported)) {
+      return reported;
+    }
+  }
+  return stopSequences.find(sequence => sequence && (text || '').endsWith(sequence)) || null;
+}
+
+function createMessageId() {
+  return `msg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Error body in the Anthropic format
+function errorBody(type, message) {
+  return { type: 'error', error: { type, message } };
+}
+
+function imageURL(source) {
+  if (source.type === 'base64') {
+    return `data:${source.media_type};base64,${source.data}`;
+  }
+  return source.url;
+}
+
+function blocksOf(content) {
+  if (typeof content === 'string') {
+    return [{ type: 'text', text: content }];
+  }
+  return Array.isArray(content) ? content : [];
+}
+
+function textOf(content) {
+  return blocksOf(content)
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+// OpenAI content for text and image blocks, plain text when there are no images
+function toOpenAIContent(blocks) {
+  const parts = [];
+  for (const block of blocks) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image' && block.source) {
+      parts.push({ type: 'image_url', image_url: { url: imageURL(block.source) } });
+    }
+  }
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+function convertUserMessage(message) {
+  const blocks = blocksOf(message.content);
+  const result = [];
+
+  // Tool results answer the previous assistant turn, so they come first
+  const followUpImages = [];
+  for (const block of blocks.filter(block => block.type === 'tool_result')) {
+    const resultBlocks = blocksOf(block.content);
+    let text = textOf(resultBlocks);
+    if (block.is_error) {
+      text = `Error: ${text}`;
+    }
+    result.push({ role: 'tool', tool_call_id: block.tool_use_id, content: text });
+    followUpImages.push(...resultBlocks.filter(resultBlock => resultBlock.type === 'image'));
+  }
+
+  const other = blocks.filter(block => block.type !== 'tool_result');
+  other.push(...followUpImages);
+  if (other.length > 0) {
+    result.push({ role: 'user', content: toOpenAIContent(other) });
+  }
+
+  return result;
+}
+
+function convertAssistantMessage(message) {
+  const blocks = blocksOf(message.content);
+  const converted = { role: 'assistant', content: textOf(blocks) };
+
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+    }));
+  if (toolCalls.length > 0) {
+    converted.tool_calls = toolCalls;
+  }
+
+  return [converted];
+}
+
+function convertToolChoice(toolChoice) {
+  switch (toolChoice && toolChoice.type) {
+    case 'any':
+      return 'required';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    case 'none':
+      return 'none';
+    case 'auto':
+      return 'auto';
+    default:
+      return undefined;
+  }
+}
+
+// Messages request -> chat completions request
+function toChatCompletionRequest(body) {
+  const messages = [];
+
+  const system = typeof body.system === 'string' ? body.system : textOf(body.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of body.messages || []) {
+    if (message.role === 'assistant') {
+      messages.push(...convertAssistantMessage(message));
+    } else {
+      messages.push(...convertUserMessage(message));
+    }
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    top_k: body.top_k,
+    stop: body.stop_sequences,
+    stream: body.stream === true
+  };
+
+  if (request.stream) {
+    request.stream_options = { include_usage: true };
+  }
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+    request.tool_choice = convertToolChoice(body.tool_choice);
+    if (body.tool_choice && body.tool_choice.disable_parallel_tool_use) {
+      request.parallel_tool_calls = false;
+    }
+  }
+
+  // Drop unset fields so upstream defaults apply
+  for (const key of Object.keys(request)) {
+    if (request[key] === undefined) {
+      delete request[key];
+    }
+  }
+
+  return request;
+}
+
+function parseToolInput(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (err) {
+    return { _raw: args };
+  }
+}
+
+// Chat completion response -> Messages response. stopSequences are the
+// stop_sequences of the request.
+function fromChatCompletion(completion, model, stopSequences = null) {
+  const choice = (completion.choices && completion.choices[0]) || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (message.reasoning_content) {
+    content.push({ type: 'thinking', thinking: message.reasoning_content, signature: '' });
+  }
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function.name,
+      input: parseToolInput(toolCall.function.arguments)
+    });
+  }
+
+  const usage = completion.usage || {};
+  const stopSequence = matchedStopSequence(choice, message.content, stopSequences);
+  return {
+    id: createMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    stop_reason: stopSequence !== null ? 'stop_sequence' : stopReasons[choice.finish_reason] || 'end_turn',
+    stop_sequence: stopSequence,
+    usage: {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0
+    }
+  };
+}
+
+// Turns chat completion chunks into Messages stream events. write receives
+// each event already formatted for SSE. message_start reports inputTokens
+// until the upstream counts the prompt itself.
+class MessageStreamTranslator {
+  constructor(model, write, { stopSequences = null, inputTokens = 0 } = {}) {
+    this.model = model;
+    this.write = write;
+    this.stopSequences = stopSequences;
+    this.started = false;
+    this.block = null; // { type, index, toolIndex }
+    this.nextIndex = 0;
+    this.stopReason = null;
+    this.stopSequence = null;
+    this.text = ''; // the last text, to find a stop sequence at its end
+    this.usage = { input_tokens: inputTokens, output_tokens: 0 };
+  }
+
+  send(type, data) {
+    this.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    this.send('message_start', {
+      message: {
+        id: createMessageId(),
+        type: 'message',
+        role: 'assistant',
+        model: this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { ...this.usage }
+      }
+    });
+  }
+
+  closeBlock() {
+    if (this.block) {
+      this.send('content_block_stop', { index: this.block.index });
+      this.block = null;
+    }
+  }
+
+  openBlock(type, contentBlock, toolIndex) {
+    this.closeBlock();
+    this.block = { type, index: this.nextIndex++, toolIndex };
+    this.send('content_block_start', { index: this.block.index, content_block: contentBlock });
+  }
+
+  // Handle the data of one upstream SSE event
+  push(data) {
+    if (data === '[DONE]') {
+      return;
+    }
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+
+    if (chunk.usage) {
+      this.usage.input_tokens = chunk.usage.prompt_tokens || this.usage.input_tokens;
+      this.usage.output_tokens = chunk.usage.completion_tokens || this.usage.output_tokens;
+    }
+
+    this.start();
+
+    for (const choice of chunk.choices || []) {
+      const delta = choice.delta || {};
+
+      if (delta.reasoning_content) {
+        if (!this.block || this.block.type !== 'thinking') {
+          this.openBlock('thinking', { type: 'thinking', thinking: '', signature: '' });
+        }
+        this.send('content_block_delta', { index: this.block.index, delta: { type: 'thinking_delta', thinking: delta.reasoning_content } });
+      }
+
+      if (delta.content) {
+        if (!this.block || this.block.type !== 'text') {
+          this.openBlock('text', { type: 'text', text: '' });
+        }
+        this.send('content_block_delta', { index: this.block.index, delta: { type: 'text_delta', text: delta.content } });
+        this.text = (this.text + delta.content).slice(-1024);
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        const toolIndex = toolCall.index !== undefined ? toolCall.index : 0;
+        if (!this.block || this.block.type !== 'tool_use' || this.block.toolIndex !== toolIndex) {
+          this.openBlock('tool_use', {
+            type: 'tool_use',
+            id: toolCall.id || `toolu_${Date.now().toString(36)}${toolIndex}`,
+            name: (toolCall.function && toolCall.function.name) || '',
+            input: {}
+          }, toolIndex);
+        }
+        const args = toolCall.function && toolCall.function.arguments;
+        if (args) {
+          this.send('content_block_delta', { index: this.block.index, delta: { type: 'input_json_delta', partial_json: args } });
+        }
+      }
+
+      if (choice.finish_reason) {
+        this.stopSequence = matchedStopSequence(choice, this.text, this.stopSequences);
+        this.stopReason = this.stopSequence !== null ? 'stop_sequence' : stopReasons[choice.finish_reason] || 'end_turn';
+      }
+    }
+  }
+
+  finish() {
+    this.start();
+    this.closeBlock();
+    this.send('message_delta', {
+      delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: this.stopSequence },
+      usage: { input_tokens: this.usage.input_tokens, output_tokens: this.usage.output_tokens }
+    });
+    this.send('message_stop', {});
+  }
+
+  fail(message) {
+    this.start();
+    this.closeBlock();
+    this.send('error', { error: { type: 'api_error', message } });
+  }
+}
+
+// Text used to estimate tokens when the upstream cannot count them
+function requestText(request) {
+  const parts = [];
+  for (const message of request.messages) {
+    if (typeof message.content === 'string') {
+      parts.push(message.content);
+    } else if (Array.isArray(message.content)) {
+      parts.push(...message.content.filter(part => part.type === 'text').map(part => part.text));
+    }
+    for (const toolCall of message.tool_calls || []) {
+      parts.push(toolCall.function.name, toolCall.function.arguments);
+    }
+  }
+  for (const tool of request.tools || []) {
+    parts.push(JSON.stringify(tool));
+  }
+  return parts.join('\n');
+}
+
+// Rough prompt token count, about four characters per token
+function estimateInputTokens(request) {
+  return Math.ceil(requestText(request).length / 4);
+}
+
+module.exports = {
+  errorBody,
+  toChatCompletionRequest,
+  fromChatCompletion,
+  MessageStreamTranslator,
+  estimateInputTokens
+};
@@ -0,0 +1,205 @@
+const anthropic = require('./anthropic');
+
+// Collect the events a translator writes as { type, data } objects
+function streamEvents(chunks, options) {
+  const events = [];
+  const translator = new anthropic.MessageStreamTranslator('claude-test', (text) => {
+    const [eventLine, dataLine] = text.trim().split('\n');
+    events.push({ type: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) });
+  }, options);
+  for (const chunk of chunks) {
+    translator.push(typeof chunk === 'string' ? chunk : JSON.stringify(chunk));
+  }
+  translator.finish();
+  return events;
+}
+
+const delta = (value, finishReason = null) => ({ choices: [{ index: 0, delta: value, finish_reason: finishReason }] });
+
+describe('toChatCompletionRequest', () => {
+  test('maps the system prompt, messages and sampling options', () => {
+    const request = anthropic.toChatCompletionRequest({
+      model: 'claude-test',
+      system: [{ type: 'text', text: 'Be brief.' }],
+      max_tokens: 100,
+      stop_sequences: ['END'],
+      stream: true,
+      messages: [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: [{ type: 'text', text: 'hello' }] }
+      ]
+    });
+
+    expect(request).toEqual({
+      model: 'claude-test',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: 'hello' }
+      ],
+      max_tokens: 100,
+      stop: ['END'],
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+  });
+
+  test('turns tool use into tool calls and tool results into tool messages first', () => {
+    const request = anthropic.toChatCompletionRequest({
+      model: 'claude-test',
+      tools: [{ name: 'get', description: 'Get it', input_schema: { type: 'object' } }],
+      tool_choice: { type: 'tool', name: 'get', disable_parallel_tool_use: true },
+      messages: [
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get', input: { a: 1 } }] },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'and now?' },
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: 'nope', is_error: true }
+          ]
+        }
+      ]
+    });
+
+    expect(request.messages).toEqual([
+      { role: 'assistant', content: '', tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get', arguments: '{"a":1}' } }] },
+      { role: 'tool', tool_call_id: 'toolu_1', content: 'Error: nope' },
+      { role: 'user', content: 'and now?' }
+    ]);
+    expect(request.tools).toEqual([{ type: 'function', function: { name: 'get', description: 'Get it', parameters: { type: 'object' } } }]);
+    expect(request.tool_choice).toEqual({ type: 'function', function: { name: 'get' } });
+    expect(request.parallel_tool_calls).toBe(false);
+  });
+
+  test('sends images as image_url parts', () => {
+    const request = anthropic.toChatCompletionRequest({
+      model: 'claude-test',
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'what is this?' },
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+        ]
+      }]
+    });
+
+    expect(request.messages[0].content).toEqual([
+      { type: 'text', text: 'what is this?' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+    ]);
+  });
+});
+
+describe('fromChatCompletion', () => {
+  const completion = (message, finishReason, extra = {}) => ({
+    choices: [{ index: 0, message, finish_reason: finishReason, ...extra }],
+    usage: { prompt_tokens: 12, completion_tokens: 3 }
+  });
+
+  test('maps text, tool calls, stop reason and usage', () => {
+    const message = anthropic.fromChatCompletion(completion({
+      content: 'Let me look.',
+      tool_calls: [{ id: 'call_1', function: { name: 'get', arguments: '{"a":1}' } }]
+    }, 'tool_calls'), 'claude-test');
+
+    expect(message).toMatchObject({
+      type: 'message',
+      role: 'assistant',
+      model: 'claude-test',
+      content: [
+        { type: 'text', text: 'Let me look.' },
+        { type: 'tool_use', id: 'call_1', name: 'get', input: { a: 1 } }
+      ],
+      stop_reason: 'tool_use',
+      stop_sequence: null,
+      usage: { input_tokens: 12, output_tokens: 3 }
+    });
+  });
+
+  test('reports a stop sequence the upstream names', () => {
+    const message = anthropic.fromChatCompletion(completion({ content: 'one two' }, 'stop', { stop_reason: 'END' }), 'claude-test', ['END']);
+
+    expect(message).toMatchObject({ stop_reason: 'stop_sequence', stop_sequence: 'END' });
+  });
+
+  test('reports a stop sequence left at the end of the text', () => {
+    const message = anthropic.fromChatCompletion(completion({ content: 'one two\n\nHuman:' }, 'stop'), 'claude-test', ['\n\nHuman:']);
+
+    expect(message).toMatchObject({ stop_reason: 'stop_sequence', stop_sequence: '\n\nHuman:' });
+  });
+
+  test('keeps end_turn when no stop sequence matched', () => {
+    expect(anthropic.fromChatCompletion(completion({ content: 'done' }, 'stop'), 'claude-test', ['END']))
+      .toMatchObject({ stop_reason: 'end_turn', stop_sequence: null });
+    expect(anthropic.fromChatCompletion(completion({ content: 'END' }, 'length'), 'claude-test', ['END']))
+      .toMatchObject({ stop_reason: 'max_tokens', stop_sequence: null });
+  });
+});
+
+describe('MessageStreamTranslator', () => {
+  test('opens a block per content type and closes the message', () => {
+    const events = streamEvents([
+      delta({ reasoning_content: 'hmm' }),
+      delta({ content: 'Hel' }),
+      delta({ content: 'lo' }),
+      delta({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get', arguments: '{"a"' } }] }),
+      delta({ tool_calls: [{ index: 0, function: { arguments: ':1}' } }] }, 'tool_calls'),
+      { choices: [], usage: { prompt_tokens: 20, completion_tokens: 7 } },
+      '[DONE]'
+    ]);
+
+    expect(events.map(event => event.type)).toEqual([
+      'message_start',
+      'content_block_start', 'content_block_delta', 'content_block_stop',
+      'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+      'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+      'message_delta', 'message_stop'
+    ]);
+    expect(events[8].data).toMatchObject({ index: 2, content_block: { type: 'tool_use', id: 'call_1', name: 'get' } });
+    expect(events[10].data.delta).toEqual({ type: 'input_json_delta', partial_json: ':1}' });
+    expect(events[12].data).toEqual({
+      type: 'message_delta',
+      delta: { stop_reason: 'tool_use', stop_sequence: null },
+      usage: { input_tokens: 20, output_tokens: 7 }
+    });
+  });
+
+  test('reports the estimated prompt tokens in message_start', () => {
+    const events = streamEvents([delta({ content: 'hi' }, 'stop')], { inputTokens: 42 });
+
+    expect(events[0].data.message.usage).toEqual({ input_tokens: 42, output_tokens: 0 });
+  });
+
+  test('prefers the prompt count of the first chunk over the estimate', () => {
+    const events = streamEvents([{ ...delta({ content: 'hi' }), usage: { prompt_tokens: 9, completion_tokens: 1 } }], { inputTokens: 42 });
+
+    expect(events[0].data.message.usage).toEqual({ input_tokens: 9, output_tokens: 1 });
+  });
+
+  test('reports a matched stop sequence in message_delta', () => {
+    const named = streamEvents([delta({ content: 'one' }), { choices: [{ index: 0, delta: {}, finish_reason: 'stop', stop_reason: 'END' }] }], { stopSequences: ['END'] });
+    expect(named[named.length - 2].data.delta).toEqual({ stop_reason: 'stop_sequence', stop_sequence: 'END' });
+
+    const trailing = streamEvents([delta({ content: 'one E' }), delta({ content: 'ND' }, 'stop')], { stopSequences: ['END'] });
+    expect(trailing[trailing.length - 2].data.delta).toEqual({ stop_reason: 'stop_sequence', stop_sequence: 'END' });
+
+    const none = streamEvents([delta({ content: 'one' }, 'stop')], { stopSequences: ['END'] });
+    expect(none[none.length - 2].data.delta).toEqual({ stop_reason: 'end_turn', stop_sequence: null });
+  });
+
+  test('sends an error event when the upstream stream fails', () => {
+    const events = [];
+    const translator = new anthropic.MessageStreamTranslator('claude-test', text => events.push(text));
+    translator.push(JSON.stringify(delta({ content: 'hi' })));
+    translator.fail('upstream closed');
+
+    expect(events[events.length - 1]).toBe('event: error\ndata: {"type":"error","error":{"type":"api_error","message":"upstream closed"}}\n\n');
+  });
+});
+
+describe('estimateInputTokens', () => {
+  test('counts about four characters per token of messages and tools', () => {
+    expect(anthropic.estimateInputTokens({ messages: [{ role: 'user', content: 'abcdefgh' }] })).toBe(2);
+    expect(anthropic.estimateInputTokens({ messages: [{ role: 'user', content: 'abcd' }], tools: [{ a: 1 }] })).toBe(3);
+  });
+});
@@ -0,0 +1,155 @@
+// API key authentication. Keys are configured under `apiKeys` and grant
+// access to a list of models and, optionally, to the admin routes. When no
+// keys are configured every request is allowed.
+
+// Routes that run inference on a model
+const inferencePrefixes = [
+  '/v1/',
+  '/upstream/',
+  '/props',
+  '/slots',
+  '/reranking',
+  '/rerank',
+  '/infill',
+  '/completion',
+  // Ollama API, these take precedence over the admin /api/ prefix
+  '/api/chat',
+  '/api/generate',
+  '/api/embed',
+  '/api/embeddings',
+  '/api/show',
+  '/api/tags',
+  '/api/ps',
+  '/api/version'
+];
+
+// Routes that inspect or control the proxy itself
+const adminPrefixes = [
+  '/api/',
+  '/logs',
+  '/metrics',
+  '/running',
+  '/unload'
+];
+
+function matchesPrefix(path, prefixes) {
+  return prefixes.some(prefix => path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`));
+}
+
+function isInferenceRoute(path) {
+  return matchesPrefix(path, inferencePrefixes);
+}
+
+// Label for a key that is safe to show in logs and usage reports
+function maskKey(key) {
+  return key.length > 12 ? `${key.slice(0, 4)}...${key.slice(-4)}` : `${key.slice(0, 2)}...`;
+}
+
+function sendAuthError(res, status, message, code) {
+  res.status(status).json({
+    error: {
+      message,
+      type: 'invalid_request_error',
+      param: null,
+      code
+    }
+  });
+}
+
+function extractApiKey(req) {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+// Whether a key may use a model, given the model's real name
+function isModelAllowed(permissions, realModelName) {
+  if (!permissions) {
+    return true;
+  }
+  return permissions.models.includes('*') || permissions.models.includes(realModelName);
+}
+
+function isAdminRouteAllowed(permissions, path) {
+  if (permissions.admin === true) {
+    return true;
+  }
+  return Array.isArray(permissions.admin) && matchesPrefix(path, permissions.admin);
+}
+
+// Find the model named by an /upstream/<model>/... path, model names may
+// contain slashes
+function upstreamModel(path, resolveModel) {
+  const parts = path.replace(/^\/upstream\//, '').split('/').filter(part => part !== '');
+  let search = '';
+  for (const part of parts) {
+    search = search === '' ? part : `${search}/${part}`;
+    if (resolveModel(search)) {
+      return search;
+    }
+  }
+  return null;
+}
+
+function requestedModel(req, resolveModel) {
+  if (req.path.startsWith('/upstream/')) {
+    return upstreamModel(req.path, resolveModel);
+  }
+  if (req.body && typeof req.body.model === 'string') {
+    return req.body.model;
+  }
+  return req.query.model || null;
+}
+
+// Create the middleware. getApiKeys and resolveModel are called on every
+// request so a config reload takes effect immediately.
+function createAuthMiddleware(getApiKeys, resolveModel) {
+  return (req, res, next) => {
+    const apiKeys = getApiKeys();
+    if (!apiKeys || Object.keys(apiKeys).length === 0) {
+      return next();
+    }
+
+    const isInference = isInferenceRoute(req.path);
+    const isAdmin = !isInference && matchesPrefix(req.path, adminPrefixes);
+    if (!isInference && !isAdmin) {
+      return next();
+    }
+
+    const key = extractApiKey(req);
+    if (!key) {
+      return sendAuthError(res, 401, 'Missing API key. Provide it as "Authorization: Bearer <key>" or in the x-api-key header.', 'missing_api_key');
+    }
+
+    const permissions = Object.prototype.hasOwnProperty.call(apiKeys, key) ? apiKeys[key] : null;
+    if (!permissions) {
+      return sendAuthError(res, 401, 'Incorrect API key provided.', 'invalid_api_key');
+    }
+    req.apiKey = { key, id: maskKey(key), ...permissions };
+
+    if (isAdmin && !isAdminRouteAllowed(permissions, req.path)) {
+      return sendAuthError(res, 403, `This API key is not allowed to access ${req.path}.`, 'route_not_allowed');
+    }
+
+    if (isInference) {
+      const model = requestedModel(req, resolveModel);
+      const realModelName = model ? resolveModel(model) : null;
+      if (realModelName && !isModelAllowed(permissions, realModelName)) {
+        return sendAuthError(res, 403, `This API key is not allowed to use the model ${model}.`, 'model_not_allowed');
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createAuthMiddleware,
+  isInferenceRoute,
+  isModelAllowed,
+  requestedModel,
+  sendAuthError
+};
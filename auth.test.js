@@ -0,0 +1,108 @@
+const { createAuthMiddleware, isInferenceRoute, isModelAllowed, requestedModel } = require('./auth');
+
+const models = { alpha: 'alpha', a: 'alpha', beta: 'beta', 'org/gamma': 'org/gamma' };
+const resolveModel = search => models[search] || null;
+
+const apiKeys = {
+  'sk-admin-0123456789': { models: ['*'], admin: true },
+  'sk-alpha': { models: ['alpha'], admin: false },
+  'sk-ops': { models: [], admin: ['/running', '/api/models/'] }
+};
+
+// Run the middleware on a request and report whether it passed and what
+// it answered otherwise
+function authorize(req, keys = apiKeys) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  const fullReq = { headers: {}, query: {}, body: {}, ...req };
+  createAuthMiddleware(() => keys, resolveModel)(fullReq, res, () => { passed = true; });
+  return { passed, status: res.statusCode, error: res.body && res.body.error, req: fullReq };
+}
+
+const bearer = key => ({ authorization: `Bearer ${key}` });
+
+describe('createAuthMiddleware', () => {
+  test('allows every request when no keys are configured', () => {
+    expect(authorize({ path: '/v1/chat/completions' }, {}).passed).toBe(true);
+    expect(authorize({ path: '/api/events' }, null).passed).toBe(true);
+  });
+
+  test('leaves public routes open', () => {
+    expect(authorize({ path: '/health' }).passed).toBe(true);
+    expect(authorize({ path: '/ui/index.html' }).passed).toBe(true);
+  });
+
+  test('rejects missing and unknown keys with a 401', () => {
+    expect(authorize({ path: '/v1/chat/completions' })).toMatchObject({ passed: false, status: 401, error: { code: 'missing_api_key' } });
+    expect(authorize({ path: '/running', headers: bearer('sk-nope') })).toMatchObject({ passed: false, status: 401, error: { code: 'invalid_api_key' } });
+  });
+
+  test('accepts the key in the x-api-key header and masks it for logs', () => {
+    const result = authorize({ path: '/v1/models', headers: { 'x-api-key': 'sk-admin-0123456789' } });
+    expect(result.passed).toBe(true);
+    expect(result.req.apiKey).toMatchObject({ key: 'sk-admin-0123456789', id: 'sk-a...6789' });
+  });
+
+  test('checks the requested model by its real name', () => {
+    const alias = authorize({ path: '/v1/chat/completions', headers: bearer('sk-alpha'), body: { model: 'a' } });
+    expect(alias.passed).toBe(true);
+
+    const other = authorize({ path: '/v1/chat/completions', headers: bearer('sk-alpha'), body: { model: 'beta' } });
+    expect(other).toMatchObject({ passed: false, status: 403, error: { code: 'model_not_allowed' } });
+  });
+
+  test('finds the model of /upstream paths, including names with slashes', () => {
+    const result = authorize({ path: '/upstream/org/gamma/v1/models', headers: bearer('sk-alpha') });
+    expect(result).toMatchObject({ passed: false, status: 403 });
+    expect(authorize({ path: '/upstream/org/gamma/v1/models', headers: bearer('sk-admin-0123456789') }).passed).toBe(true);
+  });
+
+  test('grants admin routes to admin keys and by prefix', () => {
+    expect(authorize({ path: '/api/events', headers: bearer('sk-admin-0123456789') }).passed).toBe(true);
+    expect(authorize({ path: '/running', headers: bearer('sk-ops') }).passed).toBe(true);
+    expect(authorize({ path: '/api/models/load/alpha', headers: bearer('sk-ops') }).passed).toBe(true);
+    expect(authorize({ path: '/api/events', headers: bearer('sk-ops') })).toMatchObject({ passed: false, status: 403, error: { code: 'route_not_allowed' } });
+    expect(authorize({ path: '/metrics', headers: bearer('sk-alpha') })).toMatchObject({ passed: false, status: 403 });
+  });
+
+  test('treats the Ollama API routes as inference, not admin', () => {
+    expect(authorize({ path: '/api/chat', headers: bearer('sk-alpha'), body: { model: 'alpha' } }).passed).toBe(true);
+    expect(authorize({ path: '/api/tags', headers: bearer('sk-alpha') }).passed).toBe(true);
+  });
+});
+
+describe('isInferenceRoute', () => {
+  test('matches whole path segments only', () => {
+    expect(isInferenceRoute('/v1/chat/completions')).toBe(true);
+    expect(isInferenceRoute('/props')).toBe(true);
+    expect(isInferenceRoute('/propsx')).toBe(false);
+    expect(isInferenceRoute('/api/models/load/a')).toBe(false);
+  });
+});
+
+describe('isModelAllowed', () => {
+  test('allows every model without a key, or with a wildcard', () => {
+    expect(isModelAllowed(null, 'alpha')).toBe(true);
+    expect(isModelAllowed({ models: ['*'] }, 'alpha')).toBe(true);
+    expect(isModelAllowed({ models: ['beta'] }, 'alpha')).toBe(false);
+  });
+});
+
+describe('requestedModel', () => {
+  test('reads the model from the body, then the query', () => {
+    expect(requestedModel({ path: '/v1/embeddings', body: { model: 'beta' }, query: {} }, resolveModel)).toBe('beta');
+    expect(requestedModel({ path: '/v1/audio/transcriptions', body: {}, query: { model: 'a' } }, resolveModel)).toBe('a');
+    expect(requestedModel({ path: '/v1/models', body: {}, query: {} }, resolveModel)).toBe(null);
+  });
+});
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+
+// Headers that are never written to a capture
+const redactedHeaders = ['authorization', 'x-api-key', 'cookie', 'set-cookie'];
+
+const defaultOptions = {
+  enabled: false,
+  storage: 'memory',
+  directory: './captures',
+  maxEntries: 100,
+  maxBodyBytes: 1024 * 1024
+};
+
+function sanitizeHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    result[name.toLowerCase()] = redactedHeaders.includes(name.toLowerCase()) ? '[redacted]' : value;
+  }
+  return result;
+}
+
+function isTextContent(contentType) {
+  return !contentType || /json|text|event-stream|x-www-form-urlencoded/.test(contentType);
+}
+
+// Store a body as text when possible, as base64 otherwise, cut to maxBytes
+function encodeBody(buffer, contentType, maxBytes) {
+  const truncated = buffer.length > maxBytes;
+  const data = truncated ? buffer.subarray(0, maxBytes) : buffer;
+  if (isTextContent(contentType)) {
+    return { body: data.toString('utf8'), encoding: 'utf8', truncated };
+  }
+  return { body: data.toString('base64'), encoding: 'base64', truncated };
+}
+
+function appendField(target, key, value) {
+  if (typeof value === 'string') {
+    target[key] = (target[key] || '') + value;
+  } else if (value !== null && value !== undefined) {
+    target[key] = value;
+  }
+}
+
+// Put streamed tool call fragments back together by their index
+function mergeToolCalls(message, toolCalls) {
+  message.tool_calls = message.tool_calls || [];
+  for (const fragment of toolCalls) {
+    const index = fragment.index !== undefined ? fragment.index : message.tool_calls.length;
+    const toolCall = message.tool_calls[index] || { function: { name: '', arguments: '' } };
+    if (fragment.id) {
+      toolCall.id = fragment.id;
+    }
+    if (fragment.type) {
+      toolCall.type = fragment.type;
+    }
+    if (fragment.function) {
+      appendField(toolCall.function, 'name', fragment.function.name);
+      appendField(toolCall.function, 'arguments', fragment.function.arguments);
+    }
+    message.tool_calls[index] = toolCall;
+  }
+}
+
+// Rebuild a single response object from the chunks of an SSE stream. Chat
+// completion deltas and completion text are concatenated per choice, the
+// other fields keep their last value.
+function assembleStream(text) {
+  const result = { chunks: 0 };
+  const choices = [];
+
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('data:')) {
+      continue;
+    }
+    const data = line.slice(5).trim();
+    if (data === '' || data === '[DONE]') {
+      continue;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (err) {
+      continue;
+    }
+    result.chunks++;
+
+    for (const [key, value] of Object.entries(chunk)) {
+      if (key !== 'choices') {
+        result[key] = value;
+      }
+    }
+
+    for (const choice of chunk.choices || []) {
+      const index = choice.index || 0;
+      const assembled = choices[index] || { index, message: {}, finish_reason: null };
+      const delta = choice.delta || {};
+      for (const [key, value] of Object.entries(delta)) {
+        if (key === 'tool_calls' && Array.isArray(value)) {
+          mergeToolCalls(assembled.message, value);
+        } else {
+          appendField(assembled.message, key, value);
+        }
+      }
+      if (typeof choice.text === 'string') {
+        assembled.text = (assembled.text || '') + choice.text;
+      }
+      if (choice.finish_reason) {
+        assembled.finish_reason = choice.finish_reason;
+      }
+      choices[index] = assembled;
+    }
+  }
+
+  if (choices.length > 0) {
+    result.choices = choices.filter(Boolean);
+  }
+  return result;
+}
+
+// Bounded store of upstream requests and responses, kept in memory or as
+// one JSON file per capture on disk. Only summaries are kept in memory for
+// disk storage.
+class CaptureStore {
+  constructor(options = {}, logger = null) {
+    this.logger = logger;
+    this.options = { ...defaultOptions };
+    this.index = []; // summaries, oldest first
+    this.entries = new Map(); // id -> capture, memory storage only
+    this.diskIndexLoaded = false;
+    this.nextId = 1;
+    this.configure(options);
+  }
+
+  // Apply new options. Switching storage drops the index, and the disk
+  // index is read again whenever disk storage becomes active, so captures
+  // written before are listed and pruned in order.
+  configure(options = {}) {
+    const previous = this.options;
+    this.options = { ...defaultOptions, ...(options || {}) };
+
+    const storageChanged = previous.storage !== this.options.storage ||
+      path.resolve(previous.directory) !== path.resolve(this.options.directory);
+    if (storageChanged) {
+      this.index = [];
+      this.entries.clear();
+    }
+
+    if (this.options.storage !== 'disk' || !this.enabled) {
+      this.diskIndexLoaded = false;
+    } else if (storageChanged || !this.diskIndexLoaded) {
+      this.index = [];
+      this.loadIndex();
+      this.diskIndexLoaded = true;
+    }
+    this.prune();
+  }
+
+  get enabled() {
+    return !!this.options.enabled;
+  }
+
+  loadIndex() {
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    for (const file of fs.readdirSync(this.options.directory).sort()) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const capture = JSON.parse(fs.readFileSync(path.join(this.options.directory, file), 'utf8'));
+        this.index.push(this.summarize(capture));
+      } catch (err) {
+        if (this.logger) {
+          this.logger.warn(`Skipping unreadable capture ${file}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  // Ids sort by creation time, which keeps the disk index in order. They
+  // stay past the last indexed id, so captures loaded from disk are never
+  // overwritten.
+  createId() {
+    const last = this.index.length > 0 ? this.index[this.index.length - 1].id : '';
+    let id;
+    do {
+      id = `${Date.now().toString(36)}-${String(this.nextId++).padStart(6, '0')}`;
+    } while (id <= last);
+    return id;
+  }
+
+  summarize(capture) {
+    return {
+      id: capture.id,
+      timestamp: capture.timestamp,
+      model: capture.model,
+      requestedModel: capture.requestedModel,
+      method: capture.request.method,
+      path: capture.request.path,
+      status: capture.response.status,
+      stream: capture.response.stream,
+      durationMs: capture.timings.totalMs,
+      replayOf: capture.replayOf || null
+    };
+  }
+
+  // Record an upstream exchange. request holds what was sent upstream,
+  // the response body is collected from upstreamRes as it streams through.
+  observe(request, upstreamRes) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let firstByteAt = 0;
+    const maxBytes = this.options.maxBodyBytes;
+    const responseHeaders = upstreamRes.headers;
+
+    upstreamRes.on('data', (chunk) => {
+      if (!firstByteAt) {
+        firstByteAt = Date.now();
+      }
+      if (size <= maxBytes) {
+        chunks.push(chunk);
+      }
+      size += chunk.length;
+    });
+
+    let finished = false;
+    const finish = (aborted) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      const endAt = Date.now();
+      const contentType = responseHeaders['content-type'] || '';
+      const stream = contentType.includes('text/event-stream');
+      const raw = Buffer.concat(chunks);
+      const response = {
+        status: upstreamRes.statusCode,
+        headers: sanitizeHeaders(responseHeaders),
+        stream,
+        aborted,
+        ...encodeBody(raw, contentType, maxBytes)
+      };
+      response.truncated = response.truncated || size > maxBytes;
+      if (stream) {
+        response.assembled = assembleStream(raw.toString('utf8'));
+      }
+
+      const requestBody = Buffer.isBuffer(request.body) ? request.body : Buffer.from(request.body || '', 'utf8');
+      const capture = {
+        id: this.createId(),
+        timestamp: new Date(request.startTime).toISOString(),
+        model: request.model,
+        requestedModel: request.requestedModel,
+        replayOf: request.replayOf || null,
+        request: {
+          method: request.method,
+          path: request.path,
+          target: request.target,
+          headers: sanitizeHeaders(request.headers),
+          ...encodeBody(requestBody, request.headers['content-type'], maxBytes)
+        },
+        response,
+        timings: {
+          startedAt: new Date(request.startTime).toISOString(),
+          timeToFirstByteMs: firstByteAt ? firstByteAt - request.startTime : null,
+          totalMs: endAt - request.startTime
+        }
+      };
+
+      this.add(capture).catch(err => {
+        if (this.logger) {
+          this.logger.error(`Error saving capture: ${err.message}`);
+        }
+      });
+    };
+
+    upstreamRes.once('end', () => finish(false));
+    upstreamRes.once('aborted', () => finish(true));
+  }
+
+  async add(capture) {
+    if (this.options.storage === 'disk') {
+      await fs.promises.mkdir(this.options.directory, { recursive: true });
+      await fs.promises.writeFile(this.capturePath(capture.id), JSON.stringify(capture, null, 2));
+    } else {
+      this.entries.set(capture.id, capture);
+    }
+    this.index.push(this.summarize(capture));
+    this.prune();
+    return capture.id;
+  }
+
+  prune() {
+    while (this.index.length > this.options.maxEntries) {
+      const { id } = this.index.shift();
+      if (this.options.storage === 'disk') {
+        fs.promises.unlink(this.capturePath(id)).catch(() => {});
+      } else {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  capturePath(id) {
+    return path.join(this.options.directory, `${id}.json`);
+  }
+
+  // Summaries, newest first
+  list() {
+    return [...this.index].reverse();
+  }
+
+  async get(id) {
+    if (!this.index.some(summary => summary.id === id)) {
+      return null;
+    }
+    if (this.options.storage !== 'disk') {
+      return this.entries.get(id) || null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(this.capturePath(id), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+module.exports = { CaptureStore, assembleStream };
@@ -0,0 +1,182 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CaptureStore, assembleStream } = require('./capture-store');
+
+// Feed an upstream response through observe and wait until the capture
+// is stored
+async function capture(store, { status = 200, headers = { 'content-type': 'application/json' }, body = '{}', requestBody = '{"model":"a"}' } = {}) {
+  const upstreamRes = new EventEmitter();
+  upstreamRes.statusCode = status;
+  upstreamRes.headers = headers;
+  const add = store.add;
+  const added = new Promise((resolve) => {
+    store.add = capture => add.call(store, capture).then(resolve);
+  });
+  store.observe({
+    model: 'a',
+    requestedModel: 'alias-a',
+    method: 'POST',
+    path: '/v1/chat/completions',
+    target: 'http://127.0.0.1:9999',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer sk-secret' },
+    body: requestBody,
+    startTime: Date.now()
+  }, upstreamRes);
+  upstreamRes.emit('data', Buffer.from(body));
+  upstreamRes.emit('end');
+  if (store.enabled) {
+    await added;
+  }
+  store.add = add;
+}
+
+function sseEvents(chunks) {
+  return chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+}
+
+describe('assembleStream', () => {
+  test('joins chat deltas per choice and keeps the last usage', () => {
+    const assembled = assembleStream(sseEvents([
+      { id: 'x', choices: [{ index: 0, delta: { role: 'assistant', content: 'Hel' } }] },
+      { id: 'x', choices: [{ index: 0, delta: { content: 'lo' }, finish_reason: 'stop' }] },
+      { id: 'x', choices: [], usage: { total_tokens: 3 } }
+    ]));
+
+    expect(assembled).toEqual({
+      id: 'x',
+      chunks: 3,
+      usage: { total_tokens: 3 },
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' }]
+    });
+  });
+
+  test('puts tool call fragments back together by their index', () => {
+    const assembled = assembleStream(sseEvents([
+      { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get', arguments: '{"a"' } }] } }] },
+      { choices: [{ index: 0, delta: { tool_calls: [{ index: 1, id: 'call_2', type: 'function', function: { name: 'put', arguments: '{}' } }] } }] },
+      { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: ':1}' } }] } }] }
+    ]));
+
+    expect(assembled.choices[0].message.tool_calls).toEqual([
+      { id: 'call_1', type: 'function', function: { name: 'get', arguments: '{"a":1}' } },
+      { id: 'call_2', type: 'function', function: { name: 'put', arguments: '{}' } }
+    ]);
+  });
+
+  test('joins completion text and skips lines that are not JSON', () => {
+    const text = 'data: {"choices":[{"index":0,"text":"a"}]}\n\ndata: oops\n\n: comment\n\ndata: {"choices":[{"index":0,"text":"b"}]}\n\n';
+
+    expect(assembleStream(text).choices[0].text).toBe('ab');
+  });
+});
+
+describe('CaptureStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'captures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('captures nothing while disabled', async () => {
+    const store = new CaptureStore({ enabled: false });
+    await capture(store);
+
+    expect(store.list()).toEqual([]);
+  });
+
+  test('keeps the exchange with redacted headers and lists it newest first', async () => {
+    const store = new CaptureStore({ enabled: true });
+    await capture(store, { body: '{"first":true}' });
+    await capture(store, { status: 500, body: 'boom' });
+
+    const [latest, first] = store.list();
+    expect(latest).toMatchObject({ model: 'a', requestedModel: 'alias-a', status: 500, path: '/v1/chat/completions' });
+    const captured = await store.get(first.id);
+    expect(captured.request.headers.authorization).toBe('[redacted]');
+    expect(captured.request.body).toBe('{"model":"a"}');
+    expect(captured.response).toMatchObject({ status: 200, body: '{"first":true}', encoding: 'utf8', stream: false });
+  });
+
+  test('assembles streamed responses and truncates large bodies', async () => {
+    const store = new CaptureStore({ enabled: true, maxBodyBytes: 40 });
+    const stream = sseEvents([{ choices: [{ index: 0, delta: { content: 'hi' } }] }]);
+    await capture(store, { headers: { 'content-type': 'text/event-stream' }, body: stream });
+
+    const captured = await store.get(store.list()[0].id);
+    expect(captured.response.stream).toBe(true);
+    expect(captured.response.truncated).toBe(true);
+    expect(captured.response.body).toHaveLength(40);
+  });
+
+  test('drops the oldest captures beyond maxEntries', async () => {
+    const store = new CaptureStore({ enabled: true, maxEntries: 2 });
+    for (let i = 0; i < 3; i++) {
+      await capture(store, { body: `{"n":${i}}` });
+    }
+
+    const bodies = await Promise.all(store.list().map(async summary => (await store.get(summary.id)).response.body));
+    expect(bodies).toEqual(['{"n":2}', '{"n":1}']);
+  });
+
+  test('writes disk captures as files that a new store lists again', async () => {
+    const store = new CaptureStore({ enabled: true, storage: 'disk', directory });
+    await capture(store);
+    const [{ id }] = store.list();
+    expect(fs.existsSync(path.join(directory, `${id}.json`))).toBe(true);
+
+    const reopened = new CaptureStore({ enabled: true, storage: 'disk', directory });
+    expect(reopened.list().map(summary => summary.id)).toEqual([id]);
+    expect((await reopened.get(id)).response.status).toBe(200);
+  });
+
+  test('reads the disk index when disk storage becomes active on reload', async () => {
+    const writer = new CaptureStore({ enabled: true, storage: 'disk', directory });
+    await capture(writer);
+    await capture(writer);
+
+    const store = new CaptureStore({ enabled: false, storage: 'disk', directory });
+    store.configure({ enabled: true, storage: 'disk', directory, maxEntries: 3 });
+    expect(store.list()).toHaveLength(2);
+
+    // New captures prune the earlier ones, whose files go in the background
+    await capture(store);
+    await capture(store);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(store.list()).toHaveLength(3);
+    expect(fs.readdirSync(directory)).toHaveLength(3);
+  });
+
+  test('reads the disk index again after captures were switched off and on', async () => {
+    const store = new CaptureStore({ enabled: true, storage: 'disk', directory });
+    await capture(store);
+
+    store.configure({ enabled: false, storage: 'disk', directory });
+    const writer = new CaptureStore({ enabled: true, storage: 'disk', directory });
+    await capture(writer);
+
+    store.configure({ enabled: true, storage: 'disk', directory });
+    expect(store.list().map(summary => summary.id)).toEqual(writer.list().map(summary => summary.id));
+    expect(store.list()).toHaveLength(2);
+  });
+
+  test('never reuses the id of a capture loaded from disk', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    try {
+      const writer = new CaptureStore({ enabled: true, storage: 'disk', directory });
+      await capture(writer);
+      const store = new CaptureStore({ enabled: true, storage: 'disk', directory });
+      await capture(store);
+
+      expect(fs.readdirSync(directory)).toHaveLength(2);
+      expect(store.list()).toHaveLength(2);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,102 @@
+// POSIX style command line tokenizer. Handles single and double quotes,
+// backslash escapes and backslash-newline continuations. No expansion is
+// performed, use `shell: true` on a model for pipes, variables and the like.
+
+// Characters a backslash escapes inside double quotes
+const doubleQuoteEscapable = ['$', '`', '"', '\\', '\n'];
+
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+}
+
+function parseCommand(cmdStr) {
+  const args = [];
+  let current = '';
+  let inWord = false;
+  let i = 0;
+
+  while (i < cmdStr.length) {
+    const ch = cmdStr[i];
+
+    if (ch === '\\') {
+      const next = cmdStr[i + 1];
+      if (next === undefined) {
+        throw new Error('unexpected end of command after backslash');
+      }
+      // Line continuation
+      if (next === '\n') {
+        i += 2;
+        continue;
+      }
+      if (next === '\r' && cmdStr[i + 2] === '\n') {
+        i += 3;
+        continue;
+      }
+      current += next;
+      inWord = true;
+      i += 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const end = cmdStr.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error(`unterminated single quote at position ${i}`);
+      }
+      current += cmdStr.slice(i + 1, end);
+      inWord = true;
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      const start = i;
+      i++;
+      let closed = false;
+      while (i < cmdStr.length) {
+        const c = cmdStr[i];
+        if (c === '"') {
+          closed = true;
+          i++;
+          break;
+        }
+        if (c === '\\' && doubleQuoteEscapable.includes(cmdStr[i + 1])) {
+          if (cmdStr[i + 1] !== '\n') {
+            current += cmdStr[i + 1];
+          }
+          i += 2;
+          continue;
+        }
+        current += c;
+        i++;
+      }
+      if (!closed) {
+        throw new Error(`unterminated double quote at position ${start}`);
+      }
+      inWord = true;
+      continue;
+    }
+
+    if (isWhitespace(ch)) {
+      if (inWord) {
+        args.push(current);
+        current = '';
+        inWord = false;
+      }
+      i++;
+      continue;
+    }
+
+    current += ch;
+    inWord = true;
+    i++;
+  }
+
+  if (inWord) {
+    args.push(current);
+  }
+
+  return args;
+}
+
+module.exports = { parseCommand };
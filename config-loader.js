@@ -1,5 +1,8 @@
 const fs = require('fs');
 const yaml = require('yaml');
+const { parseCommand } = require('./command-parser');
+const { normalizeFilters } = require('./request-filters');
+const { normalizeCapacity, normalizeResources } = require('./resources');
 
 // Regular expressions for macro validation
 const macroNameRegex = /^[a-zA-Z0-9_-]+$/;
@@ -25,7 +28,16 @@ class ConfigLoader {
         }
       },
       sendLoadingState: false,
-      includeAliasesInList: false
+      includeAliasesInList: false,
+      apiKeys: {},
+      routes: {},
+      fallbacks: {},
+      capacity: {},
+      maxLoadedModels: 0,
+      rateLimits: {
+        perClient: { requestsPerMinute: 0, maxConcurrent: 0 },
+        perModel: { requestsPerMinute: 0, maxConcurrent: 0 }
+      }
     };
   }
 
@@ -204,6 +216,13 @@ class ConfigLoader {
         this.validateMacro(name, value);
       }
 
+      if (!Number.isInteger(this.config.maxLoadedModels) || this.config.maxLoadedModels < 0) {
+        throw new Error('maxLoadedModels must be an integer >= 0');
+      }
+
+      // Capacity budget of the host, models are placed within it
+      this.config.capacity = normalizeCapacity(this.config.capacity || {});
+
       // Populate aliases map
       this.config.aliases = {};
       for (const [modelName, modelConfig] of Object.entries(this.config.models)) {
@@ -240,12 +259,38 @@ class ConfigLoader {
         if (!modelConfig.macros) {
           modelConfig.macros = {};
         }
-        if (!modelConfig.filters) {
-          modelConfig.filters = { stripParams: '' };
-        }
+        modelConfig.filters = { stripParams: '', ...(modelConfig.filters || {}) };
         if (!modelConfig.metadata) {
           modelConfig.metadata = {};
         }
+        modelConfig.resources = normalizeResources(modelConfig.resources || {}, this.config.capacity, `model ${modelId}`);
+
+        if (typeof modelConfig.cmd !== 'string' || modelConfig.cmd.trim() === '') {
+          throw new Error(`model ${modelId}: cmd is required`);
+        }
+
+        // Restart policy and start failure circuit breaker
+        modelConfig = {
+          restartPolicy: 'never',
+          restartMaxRetries: 5,
+          restartBackoff: 1,
+          failureThreshold: 3,
+          failureCooldown: 300,
+          slotCancelAction: '',
+          ...modelConfig
+        };
+        if (!['never', 'on-failure', 'always'].includes(modelConfig.restartPolicy)) {
+          throw new Error(`model ${modelId}: restartPolicy must be one of never, on-failure, always`);
+        }
+        for (const key of ['restartMaxRetries', 'restartBackoff', 'failureThreshold', 'failureCooldown']) {
+          if (typeof modelConfig[key] !== 'number' || modelConfig[key] < 0) {
+            throw new Error(`model ${modelId}: ${key} must be a number >= 0`);
+          }
+        }
+        this.validateLimits(`model ${modelId}`, modelConfig);
+        if (typeof modelConfig.slotCancelAction !== 'string' || !/^[a-z_]*$/.test(modelConfig.slotCancelAction)) {
+          throw new Error(`model ${modelId}: slotCancelAction must be the name of a llama-server slot action`);
+        }
 
         // Strip comments from command fields
         modelConfig.cmd = this.stripComments(modelConfig.cmd);
@@ -287,7 +332,7 @@ class ConfigLoader {
           }
           modelConfig.proxy = this.substituteMacroInValue(modelConfig.proxy, macroName, macroValue);
           modelConfig.checkEndpoint = this.substituteMacroInValue(modelConfig.checkEndpoint, macroName, macroValue);
-          modelConfig.filters.stripParams = this.substituteMacroInValue(modelConfig.filters.stripParams, macroName, macroValue);
+          modelConfig.filters = this.substituteMacroInValue(modelConfig.filters, macroName, macroValue);
 
           // Process metadata (recursive)
           if (modelConfig.metadata && Object.keys(modelConfig.metadata).length > 0) {
@@ -327,11 +372,35 @@ class ConfigLoader {
           }
         }
 
+        // The other filters are checked as a whole, then validated with
+        // their macros substituted so clamp bounds can come from macros
+        const filterMacro = JSON.stringify(modelConfig.filters).match(macroPatternRegex);
+        if (filterMacro) {
+          throw new Error(`unknown macro '${filterMacro[0]}' found in ${modelId}.filters`);
+        }
+        modelConfig.filters = normalizeFilters(modelConfig.filters, `model ${modelId}`);
+
         // Validate metadata for unknown macros
         if (modelConfig.metadata && Object.keys(modelConfig.metadata).length > 0) {
           this.validateMetadataForUnknownMacros(modelConfig.metadata, modelId);
         }
 
+        // Validate commands with the same parser used to start them
+        try {
+          if (parseCommand(modelConfig.cmd).length === 0) {
+            throw new Error('command is empty');
+          }
+        } catch (err) {
+          throw new Error(`model ${modelId}: invalid cmd: ${err.message}`);
+        }
+        if (modelConfig.cmdStop) {
+          try {
+            parseCommand(modelConfig.cmdStop);
+          } catch (err) {
+            throw new Error(`model ${modelId}: invalid cmdStop: ${err.message}`);
+          }
+        }
+
         // Validate proxy URL
         try {
           new URL(modelConfig.proxy);
@@ -345,6 +414,23 @@ class ConfigLoader {
       // Add default group
       this.config = this.addDefaultGroupToConfig(this.config);
 
+      // Validate the swap scheduler policy and load limit of each group
+      for (const [groupID, groupConfig] of Object.entries(this.config.groups)) {
+        const scheduler = { minResidency: 0, maxWait: 0, ...(groupConfig.scheduler || {}) };
+        for (const key of ['minResidency', 'maxWait']) {
+          if (typeof scheduler[key] !== 'number' || scheduler[key] < 0) {
+            throw new Error(`group ${groupID}: scheduler.${key} must be a number of seconds >= 0`);
+          }
+        }
+        groupConfig.scheduler = scheduler;
+
+        const maxLoaded = groupConfig.maxLoaded || 0;
+        if (!Number.isInteger(maxLoaded) || maxLoaded < 0) {
+          throw new Error(`group ${groupID}: maxLoaded must be an integer >= 0`);
+        }
+        groupConfig.maxLoaded = maxLoaded;
+      }
+
       // Check that members are all unique in the groups
       const memberUsage = {}; // maps member to group it appears in
       for (const [groupID, groupConfig] of Object.entries(this.config.groups)) {
@@ -364,6 +450,169 @@ class ConfigLoader {
         }
       }
 
+      // Validate profiles and resolve members to real model names
+      if (!this.config.profiles) {
+        this.config.profiles = {};
+      }
+      for (const [profileName, members] of Object.entries(this.config.profiles)) {
+        if (profileName.includes(':')) {
+          throw new Error(`profile name '${profileName}' must not contain ':'`);
+        }
+        if (!Array.isArray(members) || members.length === 0) {
+          throw new Error(`profile ${profileName} must be a non-empty list of models`);
+        }
+
+        const resolved = [];
+        for (const member of members) {
+          const realName = this.realModelName(String(member).trim());
+          if (!realName) {
+            throw new Error(`profile ${profileName}: unknown model ${member}`);
+          }
+          if (resolved.includes(realName)) {
+            throw new Error(`duplicate model ${realName} found in profile: ${profileName}`);
+          }
+          resolved.push(realName);
+        }
+        this.config.profiles[profileName] = resolved;
+      }
+
+      // Validate fallback chains, per model and per model name or alias
+      const checkFallbacks = (label, fallbacks) => {
+        if (!Array.isArray(fallbacks)) {
+          throw new Error(`${label}: fallbacks must be a list of models`);
+        }
+        return fallbacks.map(model => {
+          const name = String(model).trim();
+          if (!this.realModelName(name)) {
+            throw new Error(`${label}: unknown fallback model ${model}`);
+          }
+          return name;
+        });
+      };
+      for (const [modelId, modelConfig] of Object.entries(this.config.models)) {
+        modelConfig.fallbacks = checkFallbacks(`model ${modelId}`, modelConfig.fallbacks || []);
+      }
+      if (!this.config.fallbacks) {
+        this.config.fallbacks = {};
+      }
+      for (const [name, fallbacks] of Object.entries(this.config.fallbacks)) {
+        if (!this.realModelName(name)) {
+          throw new Error(`fallbacks: unknown model ${name}`);
+        }
+        this.config.fallbacks[name] = checkFallbacks(`fallbacks ${name}`, fallbacks);
+      }
+
+      // Validate routes, virtual models that pick a model per request
+      if (!this.config.routes) {
+        this.config.routes = {};
+      }
+      const ruleConditions = ['hasImages', 'hasTools', 'minPromptTokens', 'maxPromptTokens', 'params'];
+      for (const [routeName, routeConfig] of Object.entries(this.config.routes)) {
+        if (this.realModelName(routeName)) {
+          throw new Error(`route ${routeName} has the same name as a model, alias or profile model`);
+        }
+        const route = { rules: [], preferLoaded: false, ...(routeConfig || {}) };
+        if (!Array.isArray(route.rules)) {
+          throw new Error(`route ${routeName}: rules must be a list`);
+        }
+        if (typeof route.preferLoaded !== 'boolean') {
+          throw new Error(`route ${routeName}: preferLoaded must be true or false`);
+        }
+
+        const checkModel = (model, field) => {
+          if (typeof model !== 'string' || !this.realModelName(model.trim())) {
+            throw new Error(`route ${routeName}: ${field} has unknown model ${model}`);
+          }
+          return model.trim();
+        };
+        route.default = checkModel(route.default, 'default');
+        route.rules = route.rules.map((rule, index) => {
+          const field = `rule ${index + 1}`;
+          const when = (rule && rule.when) || {};
+          for (const key of Object.keys(when)) {
+            if (!ruleConditions.includes(key)) {
+              throw new Error(`route ${routeName}: ${field} has unknown condition ${key}`);
+            }
+          }
+          for (const key of ['hasImages', 'hasTools']) {
+            if (when[key] !== undefined && typeof when[key] !== 'boolean') {
+              throw new Error(`route ${routeName}: ${field} ${key} must be true or false`);
+            }
+          }
+          for (const key of ['minPromptTokens', 'maxPromptTokens']) {
+            if (when[key] !== undefined && (!Number.isInteger(when[key]) || when[key] < 0)) {
+              throw new Error(`route ${routeName}: ${field} ${key} must be an integer >= 0`);
+            }
+          }
+          if (when.params !== undefined && (!Array.isArray(when.params) || when.params.length === 0)) {
+            throw new Error(`route ${routeName}: ${field} params must be a non-empty list of request fields`);
+          }
+          return { model: checkModel(rule && rule.model, field), when };
+        });
+        this.config.routes[routeName] = route;
+      }
+
+      // Request/response capture settings
+      const captures = {
+        enabled: false,
+        storage: 'memory',
+        directory: './captures',
+        maxEntries: 100,
+        maxBodyBytes: 1024 * 1024,
+        ...(this.config.captures || {})
+      };
+      if (!['memory', 'disk'].includes(captures.storage)) {
+        throw new Error('captures.storage must be memory or disk');
+      }
+      for (const key of ['maxEntries', 'maxBodyBytes']) {
+        if (!Number.isInteger(captures[key]) || captures[key] < 1) {
+          throw new Error(`captures.${key} must be an integer >= 1`);
+        }
+      }
+      this.config.captures = captures;
+
+      // Default rate limits and concurrency caps, 0 means unlimited
+      const rateLimits = this.config.rateLimits || {};
+      this.config.rateLimits = {};
+      for (const scope of ['perClient', 'perModel']) {
+        const limits = { requestsPerMinute: 0, maxConcurrent: 0, ...(rateLimits[scope] || {}) };
+        this.validateLimits(`rateLimits.${scope}`, limits);
+        this.config.rateLimits[scope] = limits;
+      }
+
+      // Validate API keys and resolve their models to real model names
+      if (!this.config.apiKeys) {
+        this.config.apiKeys = {};
+      }
+      if (typeof this.config.apiKeys !== 'object' || Array.isArray(this.config.apiKeys)) {
+        throw new Error('apiKeys must map keys to their permissions');
+      }
+      for (const [key, keyConfig] of Object.entries(this.config.apiKeys)) {
+        const keyLabel = `${key.slice(0, 4)}...`;
+        const permissions = { models: ['*'], admin: false, ...(keyConfig || {}) };
+
+        if (!Array.isArray(permissions.models)) {
+          throw new Error(`apiKeys ${keyLabel}: models must be a list of models or aliases`);
+        }
+        permissions.models = permissions.models.map(model => {
+          const name = String(model).trim();
+          if (name === '*') {
+            return name;
+          }
+          const realName = this.realModelName(name);
+          if (!realName) {
+            throw new Error(`apiKeys ${keyLabel}: unknown model ${model}`);
+          }
+          return realName;
+        });
+
+        if (typeof permissions.admin !== 'boolean' && !Array.isArray(permissions.admin)) {
+          throw new Error(`apiKeys ${keyLabel}: admin must be true, false or a list of routes`);
+        }
+        this.validateLimits(`apiKeys ${keyLabel}`, permissions);
+        this.config.apiKeys[key] = permissions;
+      }
+
       // Clean up hooks preload
       if (this.config.hooks.on_startup.preload && this.config.hooks.on_startup.preload.length > 0) {
         const toPreload = [];
@@ -384,14 +633,47 @@ class ConfigLoader {
     }
   }
 
+  // Check the optional requestsPerMinute and maxConcurrent limits of a section
+  validateLimits(section, limits) {
+    for (const key of ['requestsPerMinute', 'maxConcurrent']) {
+      if (limits[key] !== undefined && (!Number.isInteger(limits[key]) || limits[key] < 0)) {
+        throw new Error(`${section}: ${key} must be an integer >= 0`);
+      }
+    }
+  }
+
   realModelName(search) {
     if (this.config.models[search]) {
       return search;
     } else if (this.config.aliases[search]) {
       return this.config.aliases[search];
     } else {
+      const profileModel = this.parseProfileModel(search);
+      return profileModel ? profileModel.model : null;
+    }
+  }
+
+  // Split a "profile:model" name into its parts. Returns null when the
+  // profile does not exist or the model is not one of its members.
+  parseProfileModel(search) {
+    const separator = search.indexOf(':');
+    if (separator <= 0) {
       return null;
     }
+
+    const profile = search.slice(0, separator);
+    const members = this.config.profiles[profile];
+    if (!members) {
+      return null;
+    }
+
+    const modelName = search.slice(separator + 1);
+    const realName = this.config.models[modelName] ? modelName : this.config.aliases[modelName];
+    if (!realName || !members.includes(realName)) {
+      return null;
+    }
+
+    return { profile, model: realName };
   }
 
   findConfig(modelName) {
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const loadingTemplatePath = path.join(__dirname, 'public', 'loading.html');
+let loadingTemplate = null;
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Only browsers navigating to a page should get the loading page
+function wantsLoadingPage(req) {
+  const accept = req.headers.accept || '';
+  return req.method === 'GET' && accept.includes('text/html');
+}
+
+function renderLoadingPage(modelName, progress) {
+  if (loadingTemplate === null) {
+    loadingTemplate = fs.readFileSync(loadingTemplatePath, 'utf8');
+  }
+
+  return loadingTemplate
+    .replace(/\{\{MODEL\}\}/g, escapeHTML(modelName))
+    .replace(/\{\{STATE\}\}/g, escapeHTML(progress.state))
+    .replace(/\{\{ELAPSED\}\}/g, String(Math.floor(progress.elapsedMs / 1000)))
+    .replace(/\{\{ATTEMPTS\}\}/g, String(progress.healthCheckAttempts));
+}
+
+function sendLoadingPage(res, modelName, process) {
+  res.status(200)
+    .set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Retry-After': '5'
+    })
+    .send(renderLoadingPage(modelName, process.getStartProgress()));
+}
+
+function describeProgress(modelName, progress) {
+  const elapsed = Math.floor(progress.elapsedMs / 1000);
+
+  switch (progress.state) {
+    case 'starting':
+      return `Loading model ${modelName} (${elapsed}s elapsed, health check attempts: ${progress.healthCheckAttempts})\n`;
+    case 'ready':
+      return `Model ${modelName} is ready\n`;
+    default:
+      return `Waiting for model ${modelName} to be scheduled (state: ${progress.state})\n`;
+  }
+}
+
+function createChunk(modelName, delta, finishReason = null) {
+  const chunk = {
+    id: `chatcmpl-loading-${Date.now()}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: modelName,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+  return `data: ${JSON.stringify(chunk)}\n\n`;
+}
+
+// Open an SSE response and send reasoning_content progress chunks until the
+// returned stop function is called
+function startLoadingProgress(res, modelName, process, intervalMs = 1000) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const writeProgress = () => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(createChunk(modelName, { reasoning_content: describeProgress(modelName, process.getStartProgress()) }));
+    }
+  };
+
+  writeProgress();
+  const timer = setInterval(writeProgress, intervalMs);
+
+  return () => {
+    clearInterval(timer);
+    writeProgress();
+  };
+}
+
+// End a progress stream with an error message when loading failed
+function endLoadingProgress(res, modelName, message) {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(createChunk(modelName, { content: `Error: ${message}` }, 'stop'));
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+// Send the start progress of a model as server-sent events for the loading
+// page, every second and on each state change, until the model is ready or
+// has failed
+function streamStartProgress(req, res, modelName, process, intervalMs = 1000) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const stop = () => {
+    clearInterval(timer);
+    process.off('stateChange', writeProgress);
+  };
+  const writeProgress = () => {
+    const progress = process.getStartProgress();
+    res.write(`data: ${JSON.stringify({ model: modelName, ...progress })}\n\n`);
+    if (progress.state === 'ready' || progress.state === 'failed') {
+      stop();
+      res.end();
+    }
+  };
+
+  const timer = setInterval(writeProgress, intervalMs);
+  process.on('stateChange', writeProgress);
+  req.on('close', stop);
+  writeProgress();
+}
+
+// Forward a request upstream and append the response body to a response
+// whose headers have already been sent
+function forwardAfterProgress(req, res, modelName, target, upstreamPath, onResponse) {
+  const url = new URL(upstreamPath, target);
+  const client = url.protocol === 'https:' ? https : http;
+  const body = req.rawBody || JSON.stringify(req.body);
+
+  const upstreamReq = client.request(url, {
+    method: req.method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'Accept': 'text/event-stream'
+    }
+  }, (upstreamRes) => {
+    if (upstreamRes.statusCode !== 200) {
+      const chunks = [];
+      upstreamRes.on('data', chunk => chunks.push(chunk));
+      upstreamRes.on('end', () => {
+        endLoadingProgress(res, modelName, `upstream returned ${upstreamRes.statusCode}: ${Buffer.concat(chunks).toString('utf8')}`);
+      });
+      return;
+    }
+
+    if (onResponse) {
+      onResponse(upstreamRes);
+    }
+    upstreamRes.pipe(res);
+  });
+
+  upstreamReq.on('error', (err) => {
+    endLoadingProgress(res, modelName, err.message);
+  });
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstreamReq.destroy();
+    }
+  });
+
+  upstreamReq.end(body);
+}
+
+module.exports = {
+  wantsLoadingPage,
+  sendLoadingPage,
+  startLoadingProgress,
+  endLoadingProgress,
+  streamStartProgress,
+  forwardAfterProgress
+};
@@ -0,0 +1,73 @@
+const EventEmitter = require('events');
+const { Transport } = require('winston');
+
+const DEFAULT_HISTORY_BYTES = 100 * 1024; // 100KB per log source
+
+// Keeps a bounded history of log output and notifies listeners of new data
+class LogMonitor extends EventEmitter {
+  constructor(source, maxHistoryBytes = DEFAULT_HISTORY_BYTES) {
+    super();
+
+    this.source = source;
+    this.maxHistoryBytes = maxHistoryBytes;
+    this.history = [];
+    this.historyBytes = 0;
+
+    // Every connected log stream adds a listener
+    this.setMaxListeners(0);
+  }
+
+  write(data) {
+    if (!data) {
+      return;
+    }
+
+    this.history.push(data);
+    this.historyBytes += data.length;
+
+    // Drop the oldest entries once the history grows past the limit
+    while (this.historyBytes > this.maxHistoryBytes && this.history.length > 1) {
+      this.historyBytes -= this.history.shift().length;
+    }
+
+    this.emit('data', data);
+  }
+
+  getHistory() {
+    return this.history.join('');
+  }
+
+  clear() {
+    this.history = [];
+    this.historyBytes = 0;
+  }
+}
+
+// Winston transport that forwards formatted log lines to a LogMonitor.
+// With `raw` set only the message is written, which suits upstream output.
+class LogMonitorTransport extends Transport {
+  constructor(monitor, opts = {}) {
+    super(opts);
+    this.monitor = monitor;
+    this.raw = !!opts.raw;
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    let message = typeof info.message === 'string' ? info.message : JSON.stringify(info.message);
+    if (!message.endsWith('\n')) {
+      message += '\n';
+    }
+
+    if (this.raw) {
+      this.monitor.write(message);
+    } else {
+      const timestamp = info.timestamp ? `${info.timestamp} ` : '';
+      this.monitor.write(`${timestamp}[${info.level.toUpperCase()}] ${message}`);
+    }
+    callback();
+  }
+}
+
+module.exports = { LogMonitor, LogMonitorTransport };
@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+
+// Collects token throughput metrics from upstream responses and keeps
+// the most recent entries in a bounded in-memory buffer
+class MetricsMonitor extends EventEmitter {
+  constructor(maxMetrics = 1000, logger = null) {
+    super();
+
+    this.maxMetrics = maxMetrics > 0 ? maxMetrics : 1000;
+    this.logger = logger;
+    this.metrics = [];
+    this.nextId = 0;
+  }
+
+  // Store a new metrics entry, trim the buffer and notify listeners
+  addMetrics(entry) {
+    const metric = {
+      id: this.nextId++,
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    this.metrics.push(metric);
+    if (this.metrics.length > this.maxMetrics) {
+      this.metrics.splice(0, this.metrics.length - this.maxMetrics);
+    }
+
+    this.emit('metrics', metric);
+    return metric;
+  }
+
+  getMetrics() {
+    return [...this.metrics];
+  }
+
+  // Watch an upstream response without consuming it. The body is collected
+  // alongside the normal pipe to the client and parsed once it ends.
+  observeResponse(modelId, proxyRes, startTime = Date.now()) {
+    if (proxyRes.statusCode !== 200) {
+      return;
+    }
+
+    const contentType = proxyRes.headers['content-type'] || '';
+    const isStreaming = contentType.includes('text/event-stream');
+    if (!isStreaming && !contentType.includes('application/json')) {
+      return;
+    }
+
+    const chunks = [];
+    proxyRes.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    proxyRes.on('end', () => {
+      try {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const durationMs = Date.now() - startTime;
+        const parsed = isStreaming
+          ? this.parseStreamingBody(body)
+          : this.parseJSONBody(body);
+
+        if (!parsed) {
+          return;
+        }
+
+        const entry = this.buildEntry(modelId, parsed, durationMs);
+        if (entry) {
+          this.addMetrics(entry);
+        }
+      } catch (err) {
+        if (this.logger) {
+          this.logger.debug(`<${modelId}> Unable to parse metrics from response: ${err.message}`);
+        }
+      }
+    });
+  }
+
+  parseJSONBody(body) {
+    if (!body) {
+      return null;
+    }
+
+    const data = JSON.parse(body);
+    return { usage: data.usage || null, timings: data.timings || null };
+  }
+
+  // Walk the SSE events and keep the last usage and timings seen. llama-server
+  // puts timings on the final chunk, usage only appears when requested.
+  parseStreamingBody(body) {
+    let usage = null;
+    let timings = null;
+
+    for (const line of body.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '' || payload === '[DONE]') {
+        continue;
+      }
+
+      try {
+        const data = JSON.parse(payload);
+        if (data.usage) {
+          usage = data.usage;
+        }
+        if (data.timings) {
+          timings = data.timings;
+        }
+      } catch (err) {
+        // Ignore partial or non-JSON events
+      }
+    }
+
+    if (!usage && !timings) {
+      return null;
+    }
+    return { usage, timings };
+  }
+
+  // Prefer llama-server timings, fall back to OpenAI style usage with the
+  // wall clock duration of the proxied request
+  buildEntry(modelId, { usage, timings }, durationMs) {
+    if (timings) {
+      const promptMs = timings.prompt_ms || 0;
+      const predictedMs = timings.predicted_ms || 0;
+
+      return {
+        model: modelId,
+        cache_tokens: timings.cache_n ?? -1,
+        input_tokens: timings.prompt_n || 0,
+        output_tokens: timings.predicted_n || 0,
+        prompt_per_second: timings.prompt_per_second ?? -1,
+        tokens_per_second: timings.predicted_per_second ?? -1,
+        duration_ms: Math.round(promptMs + predictedMs) || durationMs
+      };
+    }
+
+    if (usage) {
+      const outputTokens = usage.completion_tokens || 0;
+      const cachedTokens = usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens;
+
+      return {
+        model: modelId,
+        cache_tokens: cachedTokens ?? -1,
+        input_tokens: usage.prompt_tokens || 0,
+        output_tokens: outputTokens,
+        prompt_per_second: -1,
+        tokens_per_second: durationMs > 0 && outputTokens > 0 ? outputTokens / (durationMs / 1000) : -1,
+        duration_ms: durationMs
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = MetricsMonitor;
@@ -0,0 +1,87 @@
+// Virtual models from the `routes` config section. Each request for a route
+// name is sent to the first model whose rule matches the request body.
+
+const imageTypes = ['image_url', 'image', 'input_image'];
+
+// Request fields that hold prompt text in the OpenAI, Anthropic, Responses
+// and Ollama formats
+const promptFields = ['messages', 'prompt', 'input', 'system', 'instructions', 'tools'];
+
+// Whether any message or content part carries an image
+function hasImages(value, depth = 0) {
+  if (depth > 8 || !value || typeof value !== 'object') {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.some(item => hasImages(item, depth + 1));
+  }
+  if (imageTypes.includes(value.type) || (Array.isArray(value.images) && value.images.length > 0)) {
+    return true;
+  }
+  return Object.values(value).some(item => hasImages(item, depth + 1));
+}
+
+function textLength(value, depth = 0) {
+  if (typeof value === 'string') {
+    // Inline images are not prompt text
+    return value.startsWith('data:') ? 0 : value.length;
+  }
+  if (depth > 8 || !value || typeof value !== 'object') {
+    return 0;
+  }
+  return Object.values(value).reduce((sum, item) => sum + textLength(item, depth + 1), 0);
+}
+
+// Rough prompt size, four characters per token
+function estimateTokens(body) {
+  const chars = promptFields.reduce((sum, field) => sum + textLength(body[field]), 0);
+  return Math.ceil(chars / 4);
+}
+
+// All conditions of a rule have to match, a rule without any always matches
+function matchesRule(when, body) {
+  if (!when) {
+    return true;
+  }
+  if (when.hasImages !== undefined && hasImages(body) !== when.hasImages) {
+    return false;
+  }
+  if (when.hasTools !== undefined && (Array.isArray(body.tools) && body.tools.length > 0) !== when.hasTools) {
+    return false;
+  }
+  if (when.minPromptTokens !== undefined || when.maxPromptTokens !== undefined) {
+    const tokens = estimateTokens(body);
+    if (when.minPromptTokens !== undefined && tokens < when.minPromptTokens) {
+      return false;
+    }
+    if (when.maxPromptTokens !== undefined && tokens > when.maxPromptTokens) {
+      return false;
+    }
+  }
+  if (when.params && !when.params.some(param => body[param] !== undefined && body[param] !== null)) {
+    return false;
+  }
+  return true;
+}
+
+// Pick the model for a request to a route. isLoaded tells whether a model
+// is ready, for preferLoaded. Returns the model and why it was picked.
+function routeRequest(route, body, isLoaded) {
+  for (const [index, rule] of route.rules.entries()) {
+    if (matchesRule(rule.when, body)) {
+      return { model: rule.model, reason: `rule ${index + 1}` };
+    }
+  }
+
+  if (route.preferLoaded) {
+    const candidates = [...route.rules.map(rule => rule.model), route.default];
+    const loaded = candidates.find(model => isLoaded(model));
+    if (loaded) {
+      return { model: loaded, reason: 'loaded' };
+    }
+  }
+
+  return { model: route.default, reason: 'default' };
+}
+
+module.exports = { routeRequest, estimateTokens, hasImages };
@@ -0,0 +1,73 @@
+const { routeRequest, estimateTokens, hasImages } = require('./model-router');
+
+const route = {
+  rules: [
+    { model: 'vision', when: { hasImages: true } },
+    { model: 'long', when: { minPromptTokens: 100 } },
+    { model: 'thinker', when: { params: ['reasoning_effort', 'thinking'] } },
+    { model: 'tools', when: { hasTools: true, maxPromptTokens: 50 } }
+  ],
+  preferLoaded: false,
+  default: 'small'
+};
+
+const chat = (content, extra = {}) => ({ model: 'auto', messages: [{ role: 'user', content }], ...extra });
+const image = { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } };
+const noneLoaded = () => false;
+
+describe('routeRequest', () => {
+  test('picks the model of the first matching rule', () => {
+    expect(routeRequest(route, chat([{ type: 'text', text: 'what?' }, image]), noneLoaded))
+      .toEqual({ model: 'vision', reason: 'rule 1' });
+    expect(routeRequest(route, chat('x'.repeat(400)), noneLoaded)).toEqual({ model: 'long', reason: 'rule 2' });
+    expect(routeRequest(route, chat('hi', { reasoning_effort: 'high' }), noneLoaded)).toEqual({ model: 'thinker', reason: 'rule 3' });
+  });
+
+  test('needs every condition of a rule to match', () => {
+    const tools = [{ type: 'function', function: { name: 'get' } }];
+
+    expect(routeRequest(route, chat('hi', { tools }), noneLoaded).model).toBe('tools');
+    // Tool definitions count toward the prompt size
+    const bigTools = [{ type: 'function', function: { name: 'get', description: 'x'.repeat(200) } }];
+    expect(routeRequest(route, chat('hi', { tools: bigTools }), noneLoaded).model).toBe('small');
+  });
+
+  test('ignores params that are set to null', () => {
+    expect(routeRequest(route, chat('hi', { reasoning_effort: null }), noneLoaded))
+      .toEqual({ model: 'small', reason: 'default' });
+  });
+
+  test('matches a rule without conditions', () => {
+    expect(routeRequest({ rules: [{ model: 'any' }], default: 'small' }, chat('hi'), noneLoaded))
+      .toEqual({ model: 'any', reason: 'rule 1' });
+  });
+
+  test('prefers a loaded model of the route when no rule matched', () => {
+    const preferLoaded = { ...route, preferLoaded: true };
+
+    expect(routeRequest(preferLoaded, chat('hi'), model => model === 'thinker')).toEqual({ model: 'thinker', reason: 'loaded' });
+    expect(routeRequest(preferLoaded, chat('hi'), noneLoaded)).toEqual({ model: 'small', reason: 'default' });
+    // A matching rule still wins over a loaded model
+    expect(routeRequest(preferLoaded, chat([image]), model => model === 'thinker').model).toBe('vision');
+  });
+});
+
+describe('hasImages', () => {
+  test('finds images in the OpenAI, Anthropic, Responses and Ollama formats', () => {
+    expect(hasImages(chat([image]))).toBe(true);
+    expect(hasImages({ messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', data: 'AAAA' } }] }] })).toBe(true);
+    expect(hasImages({ input: [{ role: 'user', content: [{ type: 'input_image', image_url: 'https://example.com/a.png' }] }] })).toBe(true);
+    expect(hasImages({ messages: [{ role: 'user', content: 'what?', images: ['AAAA'] }] })).toBe(true);
+    expect(hasImages({ messages: [{ role: 'user', content: 'what?', images: [] }] })).toBe(false);
+    expect(hasImages(chat('no image here'))).toBe(false);
+  });
+});
+
+describe('estimateTokens', () => {
+  test('counts prompt text at four characters per token, without inline images', () => {
+    expect(estimateTokens(chat('abcdefgh'))).toBe(3); // 'user' and the content
+    expect(estimateTokens({ prompt: 'abcd', system: 'abcd', temperature: 0.5 })).toBe(2);
+    const bigImage = { type: 'image_url', image_url: { url: `data:image/png;base64,${'A'.repeat(4000)}` } };
+    expect(estimateTokens(chat([bigImage]))).toBe(estimateTokens(chat([image])));
+  });
+});
@@ -0,0 +1,319 @@
+// Translation between the Ollama API and OpenAI chat completions,
+// completions and embeddings
+
+const OLLAMA_VERSION = '0.6.0';
+
+const doneReasons = {
+  stop: 'stop',
+  length: 'length',
+  tool_calls: 'stop'
+};
+
+// Images are sent as bare base64, guess the type from its first bytes
+function imageDataURL(image) {
+  if (image.startsWith('data:')) {
+    return image;
+  }
+  let mediaType = 'image/png';
+  if (image.startsWith('/9j/')) {
+    mediaType = 'image/jpeg';
+  } else if (image.startsWith('R0lGOD')) {
+    mediaType = 'image/gif';
+  } else if (image.startsWith('UklGR')) {
+    mediaType = 'image/webp';
+  }
+  return `data:${mediaType};base64,${image}`;
+}
+
+function withImages(text, images) {
+  if (!images || images.length === 0) {
+    return text;
+  }
+  return [
+    { type: 'text', text: text || '' },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: imageDataURL(image) } }))
+  ];
+}
+
+// Sampling options shared by /api/chat and /api/generate
+function applyOptions(request, body) {
+  const options = body.options || {};
+  const mapping = {
+    temperature: 'temperature',
+    top_p: 'top_p',
+    top_k: 'top_k',
+    min_p: 'min_p',
+    seed: 'seed',
+    stop: 'stop',
+    num_predict: 'max_tokens',
+    repeat_penalty: 'repeat_penalty',
+    presence_penalty: 'presence_penalty',
+    frequency_penalty: 'frequency_penalty'
+  };
+  for (const [option, param] of Object.entries(mapping)) {
+    if (options[option] !== undefined) {
+      request[param] = options[option];
+    }
+  }
+
+  if (body.format === 'json') {
+    request.response_format = { type: 'json_object' };
+  } else if (body.format && typeof body.format === 'object') {
+    request.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: body.format } };
+  }
+
+  // Ollama streams unless told otherwise
+  request.stream = body.stream !== false;
+  if (request.stream) {
+    request.stream_options = { include_usage: true };
+  }
+  return request;
+}
+
+// /api/chat request -> chat completions request. Ollama tool calls carry no
+// ids, so ids are assigned in order and tool results matched to them.
+function chatToChatCompletion(body) {
+  const messages = [];
+  const pendingCallIds = [];
+  let nextCallId = 0;
+
+  for (const message of body.messages || []) {
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      messages.push({
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.tool_calls.map((toolCall) => {
+          const id = `call_${nextCallId++}`;
+          pendingCallIds.push(id);
+          const args = toolCall.function.arguments;
+          return {
+            id,
+            type: 'function',
+            function: {
+              name: toolCall.function.name,
+              arguments: typeof args === 'string' ? args : JSON.stringify(args || {})
+            }
+          };
+        })
+      });
+    } else if (message.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: pendingCallIds.shift() || `call_${nextCallId++}`, content: message.content || '' });
+    } else {
+      messages.push({ role: message.role, content: withImages(message.content || '', message.images) });
+    }
+  }
+
+  const request = { model: body.model, messages };
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools;
+  }
+  return applyOptions(request, body);
+}
+
+// /api/generate request -> chat completions request, or a plain completions
+// request when the prompt is raw
+function generateToCompletion(body) {
+  if (body.raw) {
+    return { path: '/v1/completions', request: applyOptions({ model: body.model, prompt: body.prompt || '' }, body) };
+  }
+
+  const messages = [];
+  if (body.system) {
+    messages.push({ role: 'system', content: body.system });
+  }
+  messages.push({ role: 'user', content: withImages(body.prompt || '', body.images) });
+  return { path: '/v1/chat/completions', request: applyOptions({ model: body.model, messages }, body) };
+}
+
+function parseArguments(args) {
+  if (typeof args !== 'string') {
+    return args || {};
+  }
+  try {
+    return JSON.parse(args || '{}');
+  } catch (err) {
+    return {};
+  }
+}
+
+function toOllamaToolCalls(toolCalls) {
+  return toolCalls.map(toolCall => ({
+    function: { name: toolCall.function.name, arguments: parseArguments(toolCall.function.arguments) }
+  }));
+}
+
+// Timing fields of a final Ollama response, in nanoseconds
+function finalStats(startTime, loadDurationMs, usage, timings) {
+  const ms = value => Math.round((value || 0) * 1e6);
+  return {
+    total_duration: ms(Date.now() - startTime),
+    load_duration: ms(loadDurationMs),
+    prompt_eval_count: (usage && usage.prompt_tokens) || (timings && timings.prompt_n) || 0,
+    prompt_eval_duration: ms(timings && timings.prompt_ms),
+    eval_count: (usage && usage.completion_tokens) || (timings && timings.predicted_n) || 0,
+    eval_duration: ms(timings && timings.predicted_ms)
+  };
+}
+
+// Non-streamed chat completion -> /api/chat or /api/generate response
+function fromCompletion(kind, completion, model, startTime, loadDurationMs) {
+  const choice = (completion.choices && completion.choices[0]) || {};
+  const message = choice.message || {};
+  const response = { model, created_at: new Date().toISOString() };
+
+  if (kind === 'chat') {
+    response.message = { role: 'assistant', content: message.content || '' };
+    if (message.reasoning_content) {
+      response.message.thinking = message.reasoning_content;
+    }
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      response.message.tool_calls = toOllamaToolCalls(message.tool_calls);
+    }
+  } else {
+    response.response = choice.text !== undefined ? choice.text : (message.content || '');
+    if (message.reasoning_content) {
+      response.thinking = message.reasoning_content;
+    }
+  }
+
+  return {
+    ...response,
+    done: true,
+    done_reason: doneReasons[choice.finish_reason] || 'stop',
+    ...finalStats(startTime, loadDurationMs, completion.usage, completion.timings)
+  };
+}
+
+// Turns chat completion chunks into Ollama NDJSON lines. Tool call fragments
+// are collected and sent complete in one line before the final one.
+class NDJSONStreamTranslator {
+  constructor(kind, model, write, startTime, loadDurationMs) {
+    this.kind = kind;
+    this.model = model;
+    this.write = write;
+    this.startTime = startTime;
+    this.loadDurationMs = loadDurationMs;
+    this.toolCalls = [];
+    this.finishReason = null;
+    this.usage = null;
+    this.timings = null;
+  }
+
+  line(data) {
+    this.write(`${JSON.stringify({ model: this.model, created_at: new Date().toISOString(), ...data })}\n`);
+  }
+
+  sendDelta(content, thinking) {
+    if (this.kind === 'chat') {
+      const message = { role: 'assistant', content: content || '' };
+      if (thinking) {
+        message.thinking = thinking;
+      }
+      this.line({ message, done: false });
+    } else {
+      const data = { response: content || '', done: false };
+      if (thinking) {
+        data.thinking = thinking;
+      }
+      this.line(data);
+    }
+  }
+
+  push(data) {
+    if (data === '[DONE]') {
+      return;
+    }
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+    if (chunk.timings) {
+      this.timings = chunk.timings;
+    }
+
+    for (const choice of chunk.choices || []) {
+      const delta = choice.delta || {};
+      const content = choice.text !== undefined ? choice.text : delta.content;
+      if (content || delta.reasoning_content) {
+        this.sendDelta(content, delta.reasoning_content);
+      }
+
+      for (const fragment of delta.tool_calls || []) {
+        const index = fragment.index !== undefined ? fragment.index : this.toolCalls.length;
+        const toolCall = this.toolCalls[index] || { function: { name: '', arguments: '' } };
+        if (fragment.function && fragment.function.name) {
+          toolCall.function.name += fragment.function.name;
+        }
+        if (fragment.function && fragment.function.arguments) {
+          toolCall.function.arguments += fragment.function.arguments;
+        }
+        this.toolCalls[index] = toolCall;
+      }
+
+      if (choice.finish_reason) {
+        this.finishReason = choice.finish_reason;
+      }
+    }
+  }
+
+  finish() {
+    const toolCalls = this.toolCalls.filter(Boolean);
+    if (this.kind === 'chat' && toolCalls.length > 0) {
+      this.line({ message: { role: 'assistant', content: '', tool_calls: toOllamaToolCalls(toolCalls) }, done: false });
+    }
+
+    const final = this.kind === 'chat'
+      ? { message: { role: 'assistant', content: '' } }
+      : { response: '' };
+    this.line({
+      ...final,
+      done: true,
+      done_reason: doneReasons[this.finishReason] || 'stop',
+      ...finalStats(this.startTime, this.loadDurationMs, this.usage, this.timings)
+    });
+  }
+
+  fail(message) {
+    this.write(`${JSON.stringify({ error: message })}\n`);
+  }
+}
+
+// Model details shared by /api/tags, /api/ps and /api/show
+function modelDetails(modelConfig) {
+  const metadata = modelConfig.metadata || {};
+  return {
+    parent_model: '',
+    format: metadata.format || 'gguf',
+    family: metadata.family || '',
+    families: metadata.families || null,
+    parameter_size: metadata.parameter_size || '',
+    quantization_level: metadata.quantization_level || ''
+  };
+}
+
+function modelEntry(name, modelConfig, modifiedAt) {
+  return {
+    name,
+    model: name,
+    modified_at: modifiedAt,
+    size: (modelConfig.metadata && modelConfig.metadata.size) || 0,
+    digest: '',
+    details: modelDetails(modelConfig)
+  };
+}
+
+module.exports = {
+  OLLAMA_VERSION,
+  chatToChatCompletion,
+  generateToCompletion,
+  fromCompletion,
+  NDJSONStreamTranslator,
+  modelDetails,
+  modelEntry
+};
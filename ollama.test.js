@@ -0,0 +1,226 @@
+const ollama = require('./ollama');
+
+// Run chunks through a translator and collect the NDJSON lines it writes
+function streamLines(kind, chunks) {
+  const lines = [];
+  const translator = new ollama.NDJSONStreamTranslator(kind, 'llama3:latest', text => lines.push(JSON.parse(text)), Date.now(), 1500);
+  for (const chunk of chunks) {
+    translator.push(typeof chunk === 'string' ? chunk : JSON.stringify(chunk));
+  }
+  translator.finish();
+  return lines;
+}
+
+const delta = (value, finishReason = null) => ({ choices: [{ index: 0, delta: value, finish_reason: finishReason }] });
+
+describe('chatToChatCompletion', () => {
+  test('maps messages, images and options, streaming by default', () => {
+    const request = ollama.chatToChatCompletion({
+      model: 'llama3',
+      format: 'json',
+      options: { temperature: 0.2, num_predict: 64, stop: ['\n'], mirostat: 1 },
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'what is this?', images: ['/9j/AAAA'] }
+      ]
+    });
+
+    expect(request).toEqual({
+      model: 'llama3',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'what is this?' },
+            { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/AAAA' } }
+          ]
+        }
+      ],
+      temperature: 0.2,
+      max_tokens: 64,
+      stop: ['\n'],
+      response_format: { type: 'json_object' },
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+  });
+
+  test('gives tool calls ids and matches tool results to them in order', () => {
+    const request = ollama.chatToChatCompletion({
+      model: 'llama3',
+      stream: false,
+      tools: [{ type: 'function', function: { name: 'get' } }],
+      messages: [
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [
+            { function: { name: 'get', arguments: { city: 'Oslo' } } },
+            { function: { name: 'get', arguments: { city: 'Rome' } } }
+          ]
+        },
+        { role: 'tool', content: '3°C' },
+        { role: 'tool', content: '18°C' }
+      ]
+    });
+
+    expect(request.messages).toEqual([
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { id: 'call_0', type: 'function', function: { name: 'get', arguments: '{"city":"Oslo"}' } },
+          { id: 'call_1', type: 'function', function: { name: 'get', arguments: '{"city":"Rome"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'call_0', content: '3°C' },
+      { role: 'tool', tool_call_id: 'call_1', content: '18°C' }
+    ]);
+    expect(request.tools).toHaveLength(1);
+    expect(request.stream).toBe(false);
+    expect(request.stream_options).toBeUndefined();
+  });
+
+  test('turns a format schema into a json_schema response format', () => {
+    const schema = { type: 'object', properties: { name: { type: 'string' } } };
+    const request = ollama.chatToChatCompletion({ model: 'llama3', format: schema, messages: [] });
+
+    expect(request.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'response', schema } });
+  });
+});
+
+describe('generateToCompletion', () => {
+  test('sends a prompt with its system prompt as chat messages', () => {
+    const { path, request } = ollama.generateToCompletion({ model: 'llama3', system: 'Be brief.', prompt: 'hi', stream: false });
+
+    expect(path).toBe('/v1/chat/completions');
+    expect(request.messages).toEqual([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'hi' }]);
+  });
+
+  test('sends a raw prompt to the completions endpoint unchanged', () => {
+    const { path, request } = ollama.generateToCompletion({ model: 'llama3', raw: true, prompt: '[INST] hi [/INST]', stream: false });
+
+    expect(path).toBe('/v1/completions');
+    expect(request).toEqual({ model: 'llama3', prompt: '[INST] hi [/INST]', stream: false });
+  });
+});
+
+describe('fromCompletion', () => {
+  const completion = {
+    choices: [{
+      index: 0,
+      finish_reason: 'tool_calls',
+      message: {
+        content: 'Checking.',
+        reasoning_content: 'hmm',
+        tool_calls: [{ id: 'call_1', function: { name: 'get', arguments: '{"city":"Oslo"}' } }]
+      }
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 4 },
+    timings: { prompt_ms: 20, predicted_ms: 80 }
+  };
+
+  test('answers /api/chat with the message, tool calls and stats in nanoseconds', () => {
+    const response = ollama.fromCompletion('chat', completion, 'llama3:latest', Date.now(), 1500);
+
+    expect(response).toMatchObject({
+      model: 'llama3:latest',
+      message: {
+        role: 'assistant',
+        content: 'Checking.',
+        thinking: 'hmm',
+        tool_calls: [{ function: { name: 'get', arguments: { city: 'Oslo' } } }]
+      },
+      done: true,
+      done_reason: 'stop',
+      load_duration: 1500 * 1e6,
+      prompt_eval_count: 12,
+      prompt_eval_duration: 20 * 1e6,
+      eval_count: 4,
+      eval_duration: 80 * 1e6
+    });
+  });
+
+  test('answers /api/generate with the completion text', () => {
+    const response = ollama.fromCompletion('generate', {
+      choices: [{ index: 0, text: 'raw text', finish_reason: 'length' }]
+    }, 'llama3', Date.now(), 0);
+
+    expect(response).toMatchObject({ response: 'raw text', done: true, done_reason: 'length', eval_count: 0 });
+  });
+});
+
+describe('NDJSONStreamTranslator', () => {
+  test('sends a line per chat delta and a final line with the stats', () => {
+    const lines = streamLines('chat', [
+      delta({ reasoning_content: 'hmm' }),
+      delta({ content: 'Hel' }),
+      delta({ content: 'lo' }, 'stop'),
+      { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } },
+      '[DONE]'
+    ]);
+
+    expect(lines.map(({ message, done }) => [message, done])).toEqual([
+      [{ role: 'assistant', content: '', thinking: 'hmm' }, false],
+      [{ role: 'assistant', content: 'Hel' }, false],
+      [{ role: 'assistant', content: 'lo' }, false],
+      [{ role: 'assistant', content: '' }, true]
+    ]);
+    expect(lines[3]).toMatchObject({ model: 'llama3:latest', done_reason: 'stop', prompt_eval_count: 3, eval_count: 2, load_duration: 1500 * 1e6 });
+  });
+
+  test('collects tool call fragments and sends them whole before the final line', () => {
+    const lines = streamLines('chat', [
+      delta({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get', arguments: '{"city"' } }] }),
+      delta({ tool_calls: [{ index: 1, id: 'call_2', function: { name: 'put', arguments: '{}' } }] }),
+      delta({ tool_calls: [{ index: 0, function: { arguments: ':"Oslo"}' } }] }, 'tool_calls')
+    ]);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].message.tool_calls).toEqual([
+      { function: { name: 'get', arguments: { city: 'Oslo' } } },
+      { function: { name: 'put', arguments: {} } }
+    ]);
+    expect(lines[1]).toMatchObject({ done: true, done_reason: 'stop' });
+  });
+
+  test('streams /api/generate text as response fields', () => {
+    const lines = streamLines('generate', [
+      { choices: [{ index: 0, text: 'a' }] },
+      { choices: [{ index: 0, text: 'b', finish_reason: 'length' }] }
+    ]);
+
+    expect(lines.map(({ response, done }) => [response, done])).toEqual([['a', false], ['b', false], ['', true]]);
+    expect(lines[2].done_reason).toBe('length');
+  });
+
+  test('writes an error line when the upstream stream fails', () => {
+    const lines = [];
+    new ollama.NDJSONStreamTranslator('chat', 'llama3', text => lines.push(text), Date.now(), 0).fail('upstream closed');
+
+    expect(lines).toEqual(['{"error":"upstream closed"}\n']);
+  });
+});
+
+describe('modelEntry', () => {
+  test('describes a model from its metadata', () => {
+    const entry = ollama.modelEntry('llama3:8b', { metadata: { family: 'llama', parameter_size: '8B', size: 4 * 1024 ** 3 } }, '2024-01-01T00:00:00Z');
+
+    expect(entry).toEqual({
+      name: 'llama3:8b',
+      model: 'llama3:8b',
+      modified_at: '2024-01-01T00:00:00Z',
+      size: 4 * 1024 ** 3,
+      digest: '',
+      details: {
+        parent_model: '',
+        format: 'gguf',
+        family: 'llama',
+        families: null,
+        parameter_size: '8B',
+        quantization_level: ''
+      }
+    });
+  });
+});
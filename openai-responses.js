@@ -0,0 +1,461 @@
+// Translation between the OpenAI Responses API and chat completions, and the
+// in-memory store that lets requests continue from a previous_response_id
+
+const MAX_STORED_RESPONSES = 1000;
+
+function createId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Error body in the OpenAI format
+function errorBody(message, type = 'invalid_request_error', param = null, code = null) {
+  return { error: { message, type, param, code } };
+}
+
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || [])
+    .filter(part => part.type === 'input_text' || part.type === 'output_text' || part.type === 'text')
+    .map(part => part.text)
+    .join('');
+}
+
+// Chat content for a message item, plain text when there are no images
+function toChatContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  const parts = [];
+  for (const part of content || []) {
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      parts.push({ type: 'text', text: part.text });
+    } else if (part.type === 'input_image' && part.image_url) {
+      parts.push({ type: 'image_url', image_url: { url: part.image_url, detail: part.detail } });
+    }
+  }
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('');
+  }
+  return parts;
+}
+
+// Input items -> chat messages. Consecutive function calls become one
+// assistant message with several tool calls.
+function inputToMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  const messages = [];
+  for (const item of input || []) {
+    const type = item.type || 'message';
+
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      const content = role === 'assistant' ? contentText(item.content) : toChatContent(item.content);
+      messages.push({ role, content });
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      };
+      const last = messages[messages.length - 1];
+      if (last && last.role === 'assistant' && last.tool_calls && !last.content) {
+        last.tool_calls.push(toolCall);
+      } else {
+        messages.push({ role: 'assistant', content: '', tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      const output = typeof item.output === 'string' ? item.output : JSON.stringify(item.output);
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: output });
+    }
+    // Reasoning items and other item types carry nothing the upstream can use
+  }
+  return messages;
+}
+
+function convertToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return typeof toolChoice === 'string' ? toolChoice : undefined;
+}
+
+function convertTextFormat(text) {
+  const format = text && text.format;
+  if (!format || format.type === 'text') {
+    return undefined;
+  }
+  if (format.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: format.name, schema: format.schema, strict: format.strict }
+    };
+  }
+  return { type: format.type };
+}
+
+// Responses request -> chat completions request. history holds the chat
+// messages of the previous_response_id chain.
+function toChatCompletionRequest(body, history = []) {
+  const messages = [];
+  if (body.instructions) {
+    messages.push({ role: 'system', content: body.instructions });
+  }
+  const conversation = [...history, ...inputToMessages(body.input)];
+  messages.push(...conversation);
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_output_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    parallel_tool_calls: body.parallel_tool_calls,
+    response_format: convertTextFormat(body.text),
+    stream: body.stream === true
+  };
+
+  if (request.stream) {
+    request.stream_options = { include_usage: true };
+  }
+
+  const functionTools = (body.tools || []).filter(tool => tool.type === 'function');
+  if (functionTools.length > 0) {
+    request.tools = functionTools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {} },
+        strict: tool.strict
+      }
+    }));
+    request.tool_choice = convertToolChoice(body.tool_choice);
+  }
+
+  for (const key of Object.keys(request)) {
+    if (request[key] === undefined) {
+      delete request[key];
+    }
+  }
+
+  return { request, conversation };
+}
+
+function messageItem(id, text, status = 'completed') {
+  return {
+    type: 'message',
+    id,
+    status,
+    role: 'assistant',
+    content: [{ type: 'output_text', text, annotations: [] }]
+  };
+}
+
+function functionCallItem(id, callId, name, args, status = 'completed') {
+  return { type: 'function_call', id, call_id: callId, name, arguments: args, status };
+}
+
+function reasoningItem(id, text) {
+  return { type: 'reasoning', id, summary: [{ type: 'summary_text', text }] };
+}
+
+// Response object without output, filled in from the request
+function baseResponse(body, model) {
+  return {
+    id: createId('resp'),
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status: 'in_progress',
+    error: null,
+    incomplete_details: null,
+    instructions: body.instructions || null,
+    max_output_tokens: body.max_output_tokens || null,
+    model,
+    output: [],
+    parallel_tool_calls: body.parallel_tool_calls !== false,
+    previous_response_id: body.previous_response_id || null,
+    temperature: body.temperature !== undefined ? body.temperature : null,
+    text: body.text || { format: { type: 'text' } },
+    tool_choice: body.tool_choice || 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p !== undefined ? body.top_p : null,
+    store: body.store !== false,
+    usage: null,
+    metadata: body.metadata || {}
+  };
+}
+
+function finishResponse(response, output, finishReason, usage) {
+  response.output = output;
+  if (finishReason === 'length') {
+    response.status = 'incomplete';
+    response.incomplete_details = { reason: 'max_output_tokens' };
+  } else {
+    response.status = 'completed';
+  }
+  response.usage = {
+    input_tokens: (usage && usage.prompt_tokens) || 0,
+    output_tokens: (usage && usage.completion_tokens) || 0,
+    total_tokens: (usage && usage.total_tokens) || 0
+  };
+  return response;
+}
+
+// The assistant turn of a response as a chat message, for the store
+function outputToMessage(output) {
+  const message = { role: 'assistant', content: '' };
+  for (const item of output) {
+    if (item.type === 'message') {
+      message.content += contentText(item.content);
+    } else if (item.type === 'function_call') {
+      message.tool_calls = message.tool_calls || [];
+      message.tool_calls.push({
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments }
+      });
+    }
+  }
+  return message;
+}
+
+// Chat completion -> finished response
+function fromChatCompletion(completion, response) {
+  const choice = (completion.choices && completion.choices[0]) || {};
+  const message = choice.message || {};
+  const output = [];
+
+  if (message.reasoning_content) {
+    output.push(reasoningItem(createId('rs'), message.reasoning_content));
+  }
+  if (message.content) {
+    output.push(messageItem(createId('msg'), message.content));
+  }
+  for (const toolCall of message.tool_calls || []) {
+    output.push(functionCallItem(createId('fc'), toolCall.id, toolCall.function.name, toolCall.function.arguments));
+  }
+
+  return finishResponse(response, output, choice.finish_reason, completion.usage);
+}
+
+// Turns chat completion chunks into Responses streaming events and builds
+// the final response. write receives each event already formatted for SSE.
+class ResponseStreamTranslator {
+  constructor(response, write) {
+    this.response = response;
+    this.write = write;
+    this.sequence = 0;
+    this.output = [];
+    this.current = null; // message or reasoning item being streamed
+    this.toolItems = new Map(); // tool call index -> open function_call item
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  send(type, data) {
+    this.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: this.sequence++, ...data })}\n\n`);
+  }
+
+  start() {
+    this.send('response.created', { response: { ...this.response } });
+    this.send('response.in_progress', { response: { ...this.response } });
+  }
+
+  // Function call items stay open beside the current item, since deltas of
+  // parallel tool calls may interleave until the choice finishes
+  addItem(item) {
+    this.closeItem();
+    if (item.type !== 'function_call') {
+      this.current = item;
+    }
+    this.output.push(item);
+    this.send('response.output_item.added', { output_index: this.output.length - 1, item: { ...item } });
+    if (item.type === 'message') {
+      this.send('response.content_part.added', {
+        item_id: item.id,
+        output_index: this.output.length - 1,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      });
+    }
+  }
+
+  closeItem() {
+    if (this.current) {
+      this.completeItem(this.current);
+      this.current = null;
+    }
+  }
+
+  closeToolItems() {
+    for (const item of this.toolItems.values()) {
+      this.completeItem(item);
+    }
+    this.toolItems.clear();
+  }
+
+  completeItem(item) {
+    const outputIndex = this.output.indexOf(item);
+    item.status = 'completed';
+
+    if (item.type === 'message') {
+      const part = item.content[0];
+      this.send('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+      this.send('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+    } else if (item.type === 'function_call') {
+      this.send('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+    } else if (item.type === 'reasoning') {
+      this.send('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text: item.summary[0].text });
+    }
+    this.send('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  // Handle the data of one upstream SSE event
+  push(data) {
+    if (data === '[DONE]') {
+      return;
+    }
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    for (const choice of chunk.choices || []) {
+      const delta = choice.delta || {};
+
+      if (delta.reasoning_content) {
+        if (!this.current || this.current.type !== 'reasoning') {
+          this.addItem({ ...reasoningItem(createId('rs'), ''), status: 'in_progress' });
+        }
+        this.current.summary[0].text += delta.reasoning_content;
+        this.send('response.reasoning_summary_text.delta', {
+          item_id: this.current.id,
+          output_index: this.output.indexOf(this.current),
+          summary_index: 0,
+          delta: delta.reasoning_content
+        });
+      }
+
+      if (delta.content) {
+        if (!this.current || this.current.type !== 'message') {
+          this.addItem(messageItem(createId('msg'), '', 'in_progress'));
+        }
+        this.current.content[0].text += delta.content;
+        this.send('response.output_text.delta', {
+          item_id: this.current.id,
+          output_index: this.output.indexOf(this.current),
+          content_index: 0,
+          delta: delta.content
+        });
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        const toolIndex = toolCall.index !== undefined ? toolCall.index : 0;
+        let item = this.toolItems.get(toolIndex);
+        if (!item) {
+          item = functionCallItem(createId('fc'), toolCall.id || createId('call'),
+            (toolCall.function && toolCall.function.name) || '', '', 'in_progress');
+          this.toolItems.set(toolIndex, item);
+          this.addItem(item);
+        }
+        const args = toolCall.function && toolCall.function.arguments;
+        if (args) {
+          item.arguments += args;
+          this.send('response.function_call_arguments.delta', {
+            item_id: item.id,
+            output_index: this.output.indexOf(item),
+            delta: args
+          });
+        }
+      }
+
+      if (choice.finish_reason) {
+        this.finishReason = choice.finish_reason;
+        this.closeItem();
+        this.closeToolItems();
+      }
+    }
+  }
+
+  // Close the stream and return the final response
+  finish() {
+    this.closeItem();
+    this.closeToolItems();
+    const response = finishResponse(this.response, this.output, this.finishReason, this.usage);
+    const type = response.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+    this.send(type, { response });
+    return response;
+  }
+
+  fail(message) {
+    this.closeItem();
+    this.closeToolItems();
+    this.response.status = 'failed';
+    this.response.output = this.output;
+    this.response.error = { code: 'server_error', message };
+    this.send('response.failed', { response: this.response });
+  }
+}
+
+// Stored responses and the chat messages of their conversation, oldest
+// entries are dropped first
+class ResponseStore {
+  constructor(maxEntries = MAX_STORED_RESPONSES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  // owner is the API key that created the response, null without keys
+  save(response, conversation, owner = null) {
+    this.entries.set(response.id, {
+      response,
+      messages: [...conversation, outputToMessage(response.output)],
+      owner
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Responses of other keys are treated as missing
+  find(id, owner) {
+    const entry = this.entries.get(id);
+    return entry && entry.owner === owner ? entry : null;
+  }
+
+  get(id, owner = null) {
+    const entry = this.find(id, owner);
+    return entry ? entry.response : null;
+  }
+
+  // Chat messages of the conversation up to and including a response
+  getMessages(id, owner = null) {
+    const entry = this.find(id, owner);
+    return entry ? entry.messages : null;
+  }
+
+  delete(id, owner = null) {
+    return !!this.find(id, owner) && this.entries.delete(id);
+  }
+}
+
+module.exports = {
+  errorBody,
+  toChatCompletionRequest,
+  baseResponse,
+  fromChatCompletion,
+  ResponseStreamTranslator,
+  ResponseStore
+};
@@ -0,0 +1,210 @@
+const openaiResponses = require('./openai-responses');
+
+// Run chunks through a translator and collect the events it writes
+function streamEvents(chunks) {
+  const events = [];
+  const response = openaiResponses.baseResponse({ model: 'm' }, 'm');
+  const translator = new openaiResponses.ResponseStreamTranslator(response, (text) => {
+    const dataLine = text.trim().split('\n')[1];
+    events.push(JSON.parse(dataLine.slice('data: '.length)));
+  });
+  translator.start();
+  for (const chunk of chunks) {
+    translator.push(typeof chunk === 'string' ? chunk : JSON.stringify(chunk));
+  }
+  return { events, response: translator.finish() };
+}
+
+const delta = (value, finishReason = null) => ({ choices: [{ index: 0, delta: value, finish_reason: finishReason }] });
+const toolDelta = (index, fields, finishReason = null) => delta({ tool_calls: [{ index, ...fields }] }, finishReason);
+
+describe('toChatCompletionRequest', () => {
+  test('maps instructions, input items and options', () => {
+    const { request, conversation } = openaiResponses.toChatCompletionRequest({
+      model: 'm',
+      instructions: 'Be brief.',
+      max_output_tokens: 50,
+      text: { format: { type: 'json_schema', name: 'answer', schema: { type: 'object' }, strict: true } },
+      input: [
+        { role: 'developer', content: 'Use JSON.' },
+        { role: 'user', content: [{ type: 'input_text', text: 'hi' }] }
+      ]
+    }, [{ role: 'user', content: 'earlier' }, { role: 'assistant', content: 'reply' }]);
+
+    expect(request).toEqual({
+      model: 'm',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'earlier' },
+        { role: 'assistant', content: 'reply' },
+        { role: 'system', content: 'Use JSON.' },
+        { role: 'user', content: 'hi' }
+      ],
+      max_tokens: 50,
+      response_format: { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' }, strict: true } },
+      stream: false
+    });
+    expect(conversation).toHaveLength(4);
+  });
+
+  test('joins consecutive function calls into one assistant message', () => {
+    const { request } = openaiResponses.toChatCompletionRequest({
+      model: 'm',
+      tools: [{ type: 'function', name: 'get', parameters: { type: 'object' } }, { type: 'web_search' }],
+      tool_choice: { type: 'function', name: 'get' },
+      input: [
+        { type: 'function_call', call_id: 'call_1', name: 'get', arguments: '{"a":1}' },
+        { type: 'function_call', call_id: 'call_2', name: 'get', arguments: '{"a":2}' },
+        { type: 'function_call_output', call_id: 'call_1', output: 'one' },
+        { type: 'function_call_output', call_id: 'call_2', output: { value: 2 } }
+      ]
+    });
+
+    expect(request.messages).toEqual([
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { id: 'call_1', type: 'function', function: { name: 'get', arguments: '{"a":1}' } },
+          { id: 'call_2', type: 'function', function: { name: 'get', arguments: '{"a":2}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'one' },
+      { role: 'tool', tool_call_id: 'call_2', content: '{"value":2}' }
+    ]);
+    expect(request.tools).toEqual([
+      { type: 'function', function: { name: 'get', description: undefined, parameters: { type: 'object' }, strict: undefined } }
+    ]);
+    expect(request.tool_choice).toEqual({ type: 'function', function: { name: 'get' } });
+  });
+});
+
+describe('fromChatCompletion', () => {
+  test('builds reasoning, message and function call items with usage', () => {
+    const response = openaiResponses.fromChatCompletion({
+      choices: [{
+        index: 0,
+        finish_reason: 'tool_calls',
+        message: {
+          reasoning_content: 'think',
+          content: 'Looking it up.',
+          tool_calls: [{ id: 'call_1', function: { name: 'get', arguments: '{}' } }]
+        }
+      }],
+      usage: { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 }
+    }, openaiResponses.baseResponse({ model: 'm' }, 'm'));
+
+    expect(response.status).toBe('completed');
+    expect(response.output.map(item => item.type)).toEqual(['reasoning', 'message', 'function_call']);
+    expect(response.output[2]).toMatchObject({ call_id: 'call_1', name: 'get', arguments: '{}', status: 'completed' });
+    expect(response.usage).toEqual({ input_tokens: 5, output_tokens: 4, total_tokens: 9 });
+  });
+
+  test('marks responses cut by the token limit incomplete', () => {
+    const response = openaiResponses.fromChatCompletion({
+      choices: [{ index: 0, finish_reason: 'length', message: { content: 'abc' } }]
+    }, openaiResponses.baseResponse({ model: 'm' }, 'm'));
+
+    expect(response).toMatchObject({ status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } });
+  });
+});
+
+describe('ResponseStreamTranslator', () => {
+  test('streams text as one message item and completes the response', () => {
+    const { events, response } = streamEvents([
+      delta({ content: 'Hel' }),
+      delta({ content: 'lo' }, 'stop'),
+      { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } },
+      '[DONE]'
+    ]);
+
+    expect(events.map(event => event.type)).toEqual([
+      'response.created',
+      'response.in_progress',
+      'response.output_item.added',
+      'response.content_part.added',
+      'response.output_text.delta',
+      'response.output_text.delta',
+      'response.output_text.done',
+      'response.content_part.done',
+      'response.output_item.done',
+      'response.completed'
+    ]);
+    expect(events.map(event => event.sequence_number)).toEqual(events.map((event, index) => index));
+    expect(response.output[0].content[0].text).toBe('Hello');
+    expect(events[events.length - 1].response.usage).toEqual({ input_tokens: 3, output_tokens: 2, total_tokens: 5 });
+  });
+
+  test('keeps parallel tool calls open while their deltas interleave', () => {
+    const { events, response } = streamEvents([
+      delta({ content: 'Calling both.' }),
+      toolDelta(0, { id: 'call_1', function: { name: 'get', arguments: '{"a"' } }),
+      toolDelta(1, { id: 'call_2', function: { name: 'put', arguments: '{"b"' } }),
+      toolDelta(0, { function: { arguments: ':1}' } }),
+      toolDelta(1, { function: { arguments: ':2}' } }, 'tool_calls')
+    ]);
+
+    expect(response.output.map(item => [item.type, item.arguments, item.status])).toEqual([
+      ['message', undefined, 'completed'],
+      ['function_call', '{"a":1}', 'completed'],
+      ['function_call', '{"b":2}', 'completed']
+    ]);
+
+    // No delta arrives for an item after it is done
+    const done = new Set();
+    for (const event of events) {
+      if (event.type === 'response.function_call_arguments.delta') {
+        expect(done.has(event.item_id)).toBe(false);
+      }
+      if (event.type === 'response.output_item.done') {
+        done.add(event.item.id);
+      }
+    }
+    const argumentsDone = events.filter(event => event.type === 'response.function_call_arguments.done');
+    expect(argumentsDone.map(event => [event.output_index, event.arguments])).toEqual([[1, '{"a":1}'], [2, '{"b":2}']]);
+  });
+
+  test('closes open items and reports the error when the stream fails', () => {
+    const events = [];
+    const translator = new openaiResponses.ResponseStreamTranslator(openaiResponses.baseResponse({ model: 'm' }, 'm'), (text) => {
+      events.push(JSON.parse(text.trim().split('\n')[1].slice('data: '.length)));
+    });
+    translator.push(JSON.stringify(toolDelta(0, { id: 'call_1', function: { name: 'get', arguments: '{' } })));
+    translator.fail('upstream closed');
+
+    expect(events.map(event => event.type)).toEqual([
+      'response.output_item.added',
+      'response.function_call_arguments.delta',
+      'response.function_call_arguments.done',
+      'response.output_item.done',
+      'response.failed'
+    ]);
+    expect(events[4].response).toMatchObject({ status: 'failed', error: { code: 'server_error', message: 'upstream closed' } });
+  });
+});
+
+describe('ResponseStore', () => {
+  test('continues conversations and keeps responses to their owner', () => {
+    const store = new openaiResponses.ResponseStore();
+    const response = { id: 'resp_1', output: [{ type: 'message', content: [{ type: 'output_text', text: 'hi there' }] }] };
+    store.save(response, [{ role: 'user', content: 'hi' }], 'sk-a');
+
+    expect(store.getMessages('resp_1', 'sk-a')).toEqual([
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'hi there' }
+    ]);
+    expect(store.get('resp_1', 'sk-b')).toBe(null);
+    expect(store.delete('resp_1', 'sk-b')).toBe(false);
+    expect(store.delete('resp_1', 'sk-a')).toBe(true);
+    expect(store.get('resp_1', 'sk-a')).toBe(null);
+  });
+
+  test('drops the oldest responses beyond maxEntries', () => {
+    const store = new openaiResponses.ResponseStore(2);
+    for (const id of ['a', 'b', 'c']) {
+      store.save({ id, output: [] }, []);
+    }
+
+    expect([store.get('a'), store.get('b'), store.get('c')].map(Boolean)).toEqual([false, true, true]);
+  });
+});
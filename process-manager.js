@@ -2,6 +2,9 @@ const { spawn, exec } = require('child_process');
 const http = require('http');
 const { URL } = require('url');
 const EventEmitter = require('events');
+const { once } = require('events');
+const { parseCommand } = require('./command-parser');
+const { overCapacity } = require('./resources');
 
 // Process states
 const ProcessState = {
@@ -9,9 +12,20 @@ const ProcessState = {
   STARTING: 'starting',
   READY: 'ready',
   STOPPING: 'stopping',
-  SHUTDOWN: 'shutdown'
+  SHUTDOWN: 'shutdown',
+  FAILED: 'failed'
 };
 
+// Restart policies for processes that exit unexpectedly
+const RestartPolicy = {
+  NEVER: 'never',
+  ON_FAILURE: 'on-failure',
+  ALWAYS: 'always'
+};
+
+const OUTPUT_BUFFER_LINES = 100;
+const MAX_RESTART_BACKOFF = 60; // seconds
+
 // Stop strategies
 const StopStrategy = {
   IMMEDIATELY: 'immediately',
@@ -25,6 +39,7 @@ class Process extends EventEmitter {
     this.id = id;
     this.config = config;
     this.process = null;
+    this.spawnedWithShell = false; // How the running child was spawned, decides how it is stopped
     this.healthCheckTimeout = healthCheckTimeout;
     this.processLogger = processLogger;
     this.proxyLogger = proxyLogger;
@@ -35,8 +50,28 @@ class Process extends EventEmitter {
     this.failedStartCount = 0;
     this.lastRequestHandled = new Date(0);
     this.startTime = 0; // Track when process became ready
+    this.startRequestedAt = 0; // Track when the current start began
+    this.healthCheckAttempts = 0;
+    this.startGeneration = 0; // Incremented on every start to detect stale health loops
     this.healthCheckLoopInterval = 5000; // 5 seconds
 
+    // Crash recovery and circuit breaker state
+    this.restartAttempts = 0;
+    this.restartTimer = null;
+    this.failedAt = 0;
+    this.lastError = ''; // Why the last start failed or the process died
+
+    // Recent output and how the last run ended, for the status API
+    this.outputBuffer = [];
+    this.lastExitCode = null;
+    this.lastExitSignal = null;
+    this.lastExitAt = 0;
+    this.lastStartDurationMs = 0;
+    this.lastHealthCheckDurationMs = 0;
+
+    // Every request waiting on a state change adds a listener
+    this.setMaxListeners(0);
+
     // Create a reverse proxy target URL
     this.proxyUrl = new URL(this.config.proxy);
   }
@@ -45,6 +80,32 @@ class Process extends EventEmitter {
     return this.state;
   }
 
+  // Resolve once the process reaches one of the given states
+  waitForState(...states) {
+    if (states.includes(this.state)) {
+      return Promise.resolve(this.state);
+    }
+
+    return new Promise(resolve => {
+      const onStateChange = ({ newState }) => {
+        if (states.includes(newState)) {
+          this.off('stateChange', onStateChange);
+          resolve(newState);
+        }
+      };
+      this.on('stateChange', onStateChange);
+    });
+  }
+
+  // Progress of the current start, used for loading state feedback
+  getStartProgress() {
+    return {
+      state: this.state,
+      elapsedMs: this.startRequestedAt ? Date.now() - this.startRequestedAt : 0,
+      healthCheckAttempts: this.healthCheckAttempts
+    };
+  }
+
   async setState(newState) {
     const oldState = this.state;
     this.state = newState;
@@ -68,47 +129,85 @@ class Process extends EventEmitter {
     
     // If process is already starting, wait for it to complete
     if (this.state === ProcessState.STARTING) {
-      while (this.state === ProcessState.STARTING) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      const state = await this.waitForState(ProcessState.READY, ProcessState.STOPPED, ProcessState.SHUTDOWN, ProcessState.FAILED);
+      return state === ProcessState.READY;
+    }
+
+    // The circuit breaker is open, allow a new attempt once the cooldown passed
+    if (this.state === ProcessState.FAILED) {
+      if (this.isCircuitOpen()) {
+        this.proxyLogger.warn(`<${this.id}> Not starting, model is marked failed: ${this.lastError}`);
+        return false;
       }
-      return this.state === ProcessState.READY;
+      this.proxyLogger.info(`<${this.id}> Failure cooldown elapsed, retrying start`);
+      this.failedStartCount = Math.max(0, this.config.failureThreshold - 1);
+      await this.setState(ProcessState.STOPPED);
+    }
+
+    // Let a previous instance exit before starting a new one
+    if (this.state === ProcessState.STOPPING) {
+      await this.waitForState(ProcessState.STOPPED, ProcessState.SHUTDOWN);
+      return this.start();
     }
 
     // Check if we're in a valid state to start
-    if (this.state !== ProcessState.STOPPED && this.state !== ProcessState.STOPPING) {
+    if (this.state !== ProcessState.STOPPED) {
       this.proxyLogger.error(`<${this.id}> Process is in invalid state to start: ${this.state}`);
       return false;
     }
 
+    this.cancelRestart();
+    const generation = ++this.startGeneration;
+    this.startRequestedAt = Date.now();
+    this.healthCheckAttempts = 0;
     await this.setState(ProcessState.STARTING);
 
     try {
-      // Parse command string into executable and arguments
-      const [executable, ...args] = this.parseCommand(this.config.cmd);
-      
       this.processLogger.info(`<${this.id}> Executing start command: ${this.config.cmd}`);
-      
-      // Start the process
-      this.process = spawn(executable, args, {
-        env: { ...process.env, ...this.parseEnv(this.config.env) }
-      });
+
+      const env = { ...process.env, ...this.parseEnv(this.config.env) };
+
+      this.spawnedWithShell = !!this.config.shell;
+      if (this.spawnedWithShell) {
+        // Run through the system shell in its own process group so the
+        // whole tree can be signalled on stop
+        this.process = spawn(this.config.cmd, {
+          env,
+          shell: true,
+          detached: process.platform !== 'win32'
+        });
+      } else {
+        // Parse command string into executable and arguments
+        const [executable, ...args] = this.parseCommand(this.config.cmd);
+        this.process = spawn(executable, args, { env });
+      }
 
       // Handle process output
-      this.process.stdout.on('data', (data) => {
+      const child = this.process;
+      child.stdout.on('data', (data) => {
         this.processLogger.info(`<${this.id}> ${data.toString()}`);
+        this.recordOutput('stdout', data.toString());
       });
 
-      this.process.stderr.on('data', (data) => {
+      child.stderr.on('data', (data) => {
         this.processLogger.error(`<${this.id}> ${data.toString()}`);
+        this.recordOutput('stderr', data.toString());
       });
 
-      this.process.on('close', (code) => {
+      child.on('close', (code, signal) => {
         this.processLogger.info(`<${this.id}> Process exited with code ${code}`);
-        this.handleProcessExit();
+        // Ignore exits of an instance that has already been replaced
+        if (this.process === child) {
+          this.lastExitCode = code;
+          this.lastExitSignal = signal;
+          this.lastExitAt = Date.now();
+          this.handleProcessExit(code, signal);
+        }
       });
 
-      this.process.on('error', (err) => {
+      child.on('error', (err) => {
         this.processLogger.error(`<${this.id}> Process error: ${err.message}`);
+        this.recordOutput('error', err.message);
       });
 
       // Wait a bit before checking health
@@ -119,15 +218,24 @@ class Process extends EventEmitter {
         const healthUrl = new URL(this.config.checkEndpoint, this.config.proxy);
         const maxDuration = this.healthCheckTimeout * 1000; // Convert to milliseconds
         const checkStartTime = Date.now();
+        this.lastHealthCheckDurationMs = 0;
 
         let healthCheckPassed = false;
         while (!healthCheckPassed && (Date.now() - checkStartTime) < maxDuration) {
           // Check if state changed to something other than STARTING
+          if (this.startGeneration !== generation) {
+            this.processLogger.debug(`<${this.id}> Start superseded by a newer start, stopping health check`);
+            return false;
+          }
+          if (this.state === ProcessState.STOPPED) {
+            throw new Error(`Process exited during startup (${this.describeExit()})`);
+          }
           if (this.state !== ProcessState.STARTING) {
             this.processLogger.warn(`<${this.id}> Process state changed from STARTING to ${this.state}, stopping health check`);
             return false;
           }
 
+          this.healthCheckAttempts++;
           try {
             const status = await this.checkHealthEndpoint(healthUrl.href);
             if (status === 200) {
@@ -145,27 +253,141 @@ class Process extends EventEmitter {
           }
         }
 
+        this.lastHealthCheckDurationMs = Date.now() - checkStartTime;
         if (!healthCheckPassed) {
           throw new Error(`Health check timed out after ${this.healthCheckTimeout}s`);
         }
       }
 
+      if (this.state === ProcessState.STOPPED) {
+        throw new Error(`Process exited during startup (${this.describeExit()})`);
+      }
+      if (this.state !== ProcessState.STARTING || this.startGeneration !== generation) {
+        return false;
+      }
+
       // If TTL is set, start TTL check loop
       if (this.config.unloadAfter > 0) {
         this.startTTLCheck();
       }
 
+      this.lastStartDurationMs = Date.now() - this.startRequestedAt;
       await this.setState(ProcessState.READY);
       this.failedStartCount = 0;
+      this.lastError = '';
+      this.emitStartComplete(true);
       return true;
     } catch (error) {
       this.proxyLogger.error(`<${this.id}> Failed to start process: ${error.message}`);
+      await this.recordStartFailure(error.message);
+      return false;
+    }
+  }
+
+  // Count a failed start and open the circuit breaker once the failure
+  // threshold is reached
+  async recordStartFailure(reason) {
+    this.failedStartCount++;
+    this.lastError = reason;
+    this.lastStartDurationMs = Date.now() - this.startRequestedAt;
+    this.emitStartComplete(false);
+
+    // Make sure a process that failed its health check does not linger
+    if (this.process && this.process.exitCode === null && this.process.signalCode === null) {
+      this.stopCommand();
+    }
+
+    const threshold = this.config.failureThreshold;
+    if (threshold > 0 && this.failedStartCount >= threshold) {
+      this.failedAt = Date.now();
+      this.proxyLogger.error(`<${this.id}> Marking model failed after ${this.failedStartCount} failed starts`);
+      await this.setState(ProcessState.FAILED);
+    } else {
       await this.setState(ProcessState.STOPPED);
+    }
+  }
+
+  emitStartComplete(success) {
+    this.emit('startComplete', {
+      id: this.id,
+      success,
+      durationMs: this.lastStartDurationMs,
+      healthCheckDurationMs: this.lastHealthCheckDurationMs
+    });
+  }
+
+  // Whether requests should be rejected without attempting a start
+  isCircuitOpen() {
+    if (this.state !== ProcessState.FAILED) {
       return false;
     }
+    const cooldownMs = (this.config.failureCooldown || 0) * 1000;
+    return Date.now() - this.failedAt < cooldownMs;
+  }
+
+  // Keep the last lines of the process output in a bounded buffer
+  recordOutput(stream, data) {
+    const timestamp = Date.now();
+    for (const line of data.split('\n')) {
+      if (line.trim() !== '') {
+        this.outputBuffer.push({ stream, line, timestamp });
+      }
+    }
+    if (this.outputBuffer.length > OUTPUT_BUFFER_LINES) {
+      this.outputBuffer.splice(0, this.outputBuffer.length - OUTPUT_BUFFER_LINES);
+    }
+  }
+
+  getRecentStderr() {
+    return this.outputBuffer.filter(entry => entry.stream !== 'stdout').map(entry => entry.line);
+  }
+
+  describeExit() {
+    if (this.lastExitSignal) {
+      return `killed by signal ${this.lastExitSignal}`;
+    }
+    return `exit code ${this.lastExitCode}`;
+  }
+
+  // Diagnostics for the status API: how the last start and run ended and
+  // the recent output of the process
+  getStatus() {
+    return {
+      state: this.state,
+      failureReason: this.lastError,
+      failedStartCount: this.failedStartCount,
+      restartAttempts: this.restartAttempts,
+      lastExitCode: this.lastExitCode,
+      lastExitSignal: this.lastExitSignal,
+      lastExitAt: this.lastExitAt ? new Date(this.lastExitAt).toISOString() : null,
+      lastStartDurationMs: this.lastStartDurationMs,
+      recentOutput: this.outputBuffer.map(entry => ({
+        stream: entry.stream,
+        line: entry.line,
+        timestamp: new Date(entry.timestamp).toISOString()
+      }))
+    };
+  }
+
+  // Error for requests made while the circuit breaker is open
+  createFailedError() {
+    const err = new Error(`model ${this.id} is unavailable after ${this.failedStartCount} failed starts: ${this.lastError}`);
+    err.statusCode = 503;
+    err.details = { stderr: this.getRecentStderr().slice(-20) };
+    return err;
   }
 
   async stop(strategy = StopStrategy.IMMEDIATELY) {
+    this.cancelRestart();
+
+    // An explicit stop resets the circuit breaker
+    if (this.state === ProcessState.FAILED) {
+      this.failedStartCount = 0;
+      this.restartAttempts = 0;
+      await this.setState(ProcessState.STOPPED);
+      return;
+    }
+
     if (this.state === ProcessState.STOPPED || this.state === ProcessState.STOPPING || this.state === ProcessState.SHUTDOWN) {
       return;
     }
@@ -174,19 +396,23 @@ class Process extends EventEmitter {
 
     await this.setState(ProcessState.STOPPING);
 
-    if (strategy === StopStrategy.WAIT_FOR_INFLIGHT) {
+    if (strategy === StopStrategy.WAIT_FOR_INFLIGHT && this.inFlightRequests > 0) {
       // Wait for in-flight requests to complete
-      while (this.inFlightRequests > 0) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+      await once(this, 'inFlightDrained');
     }
 
     this.stopCommand();
   }
 
   stopCommand() {
-    if (!this.process) {
-      this.proxyLogger.error(`<${this.id}> Process is null, cannot stop`);
+    if (!this.process || this.process.exitCode !== null || this.process.signalCode !== null) {
+      // Nothing is running, so no exit event will arrive to finish the stop
+      this.proxyLogger.debug(`<${this.id}> No running process to stop`);
+      if (this.state === ProcessState.STOPPING) {
+        this.setState(ProcessState.STOPPED).catch(err => {
+          this.proxyLogger.error(`<${this.id}> Error setting STOPPED state: ${err.message}`);
+        });
+      }
       return;
     }
 
@@ -203,6 +429,9 @@ class Process extends EventEmitter {
             this.proxyLogger.info(`<${this.id}> Stop command executed successfully`);
           }
         });
+      } else if (this.spawnedWithShell && process.platform !== 'win32') {
+        // Signal the shell's process group
+        process.kill(-this.process.pid, 'SIGTERM');
       } else {
         // Send SIGTERM to the process
         this.process.kill('SIGTERM');
@@ -212,7 +441,7 @@ class Process extends EventEmitter {
     }
   }
 
-  handleProcessExit() {
+  handleProcessExit(code = null, signal = null) {
     this.proxyLogger.debug(`<${this.id}> Process handleProcessExit called`);
     
     switch (this.state) {
@@ -227,6 +456,19 @@ class Process extends EventEmitter {
           this.proxyLogger.error(`<${this.id}> Error setting STOPPED state: ${err.message}`);
         });
         break;
+      case ProcessState.READY:
+        this.proxyLogger.info(`<${this.id}> Process exited unexpectedly, setting to STOPPED`);
+        this.lastError = `Process exited unexpectedly (${this.describeExit()})`;
+        // A process that stayed up for a while starts with a fresh retry budget
+        if (Date.now() - this.startTime > MAX_RESTART_BACKOFF * 1000) {
+          this.restartAttempts = 0;
+        }
+        this.setState(ProcessState.STOPPED)
+          .then(() => this.scheduleRestart(code, signal))
+          .catch(err => {
+            this.proxyLogger.error(`<${this.id}> Error setting STOPPED state: ${err.message}`);
+          });
+        break;
       default:
         this.proxyLogger.info(`<${this.id}> Process exited unexpectedly, setting to STOPPED`);
         this.setState(ProcessState.STOPPED).catch(err => {
@@ -236,6 +478,45 @@ class Process extends EventEmitter {
     }
   }
 
+  // Apply the restart policy after an unexpected exit. The restart itself is
+  // requested through a 'restart' event so the owner can run it in order
+  // with other swaps.
+  scheduleRestart(code, signal) {
+    const policy = this.config.restartPolicy || RestartPolicy.NEVER;
+    const failed = code !== 0 || signal !== null;
+    if (policy === RestartPolicy.NEVER || (policy === RestartPolicy.ON_FAILURE && !failed)) {
+      return;
+    }
+
+    if (this.restartAttempts >= this.config.restartMaxRetries) {
+      this.lastError = `Process exited ${this.restartAttempts + 1} times (last ${this.describeExit()})`;
+      this.failedAt = Date.now();
+      this.proxyLogger.error(`<${this.id}> Giving up after ${this.restartAttempts} restarts, marking model failed`);
+      this.setState(ProcessState.FAILED).catch(err => {
+        this.proxyLogger.error(`<${this.id}> Error setting FAILED state: ${err.message}`);
+      });
+      return;
+    }
+
+    const delay = Math.min(this.config.restartBackoff * Math.pow(2, this.restartAttempts), MAX_RESTART_BACKOFF);
+    this.restartAttempts++;
+    this.proxyLogger.warn(`<${this.id}> Restarting in ${delay}s (attempt ${this.restartAttempts} of ${this.config.restartMaxRetries})`);
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.state === ProcessState.STOPPED) {
+        this.emit('restart', { id: this.id, attempt: this.restartAttempts });
+      }
+    }, delay * 1000);
+  }
+
+  cancelRestart() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+  }
+
   async checkHealthEndpoint(healthUrl) {
     return new Promise((resolve, reject) => {
       const request = http.get(healthUrl, { timeout: 5000 }, (res) => {
@@ -283,14 +564,46 @@ class Process extends EventEmitter {
 
   removeInFlightRequest() {
     this.inFlightRequests--;
+    this.lastRequestHandled = new Date();
     if (this.inFlightRequests < 0) this.inFlightRequests = 0;
+    if (this.inFlightRequests === 0) {
+      this.emit('inFlightDrained');
+    }
+  }
+
+  // Count a request as in flight until its response is closed, because it
+  // finished or because the client went away. Returns a function that ends
+  // the request earlier, calling it more than once has no effect.
+  trackRequest(res) {
+    this.addInFlightRequest();
+    const startedAt = Date.now();
+    let released = false;
+    const release = () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      res.removeListener('close', onClose);
+      this.removeInFlightRequest();
+    };
+
+    // A response closed before it finished means the client went away
+    const onClose = () => {
+      release();
+      if (!res.writableFinished) {
+        this.emit('requestCancelled', {
+          id: this.id,
+          durationMs: Date.now() - startedAt,
+          inFlightRequests: this.inFlightRequests
+        });
+      }
+    };
+    res.once('close', onClose);
+    return release;
   }
 
   parseCommand(cmdStr) {
-    // Simple shell command parsing
-    // This is a basic implementation - for production use, consider using a proper shell command parser
-    const parts = cmdStr.trim().split(/\s+/);
-    return parts;
+    return parseCommand(cmdStr);
   }
 
   parseEnv(envArray) {
@@ -304,8 +617,16 @@ class Process extends EventEmitter {
   }
 }
 
+// Fields that require a process to be rebuilt when they change on reload
+const processDefinitionFields = ['cmd', 'cmdStop', 'shell', 'proxy', 'checkEndpoint', 'env'];
+
+function processDefinitionChanged(oldModelConfig, newModelConfig) {
+  return processDefinitionFields.some(field =>
+    JSON.stringify(oldModelConfig[field]) !== JSON.stringify(newModelConfig[field]));
+}
+
 class ProcessGroup {
-  constructor(id, config, proxyLogger, upstreamLogger) {
+  constructor(id, config, proxyLogger, upstreamLogger, existingProcesses = new Map()) {
     this.id = id;
     this.config = config;
     this.proxyLogger = proxyLogger;
@@ -319,56 +640,48 @@ class ProcessGroup {
     this.swap = groupConfig.swap;
     this.exclusive = groupConfig.exclusive;
     this.persistent = groupConfig.persistent;
+    this.scheduler = groupConfig.scheduler || { minResidency: 0, maxWait: 0 };
+    this.maxLoaded = groupConfig.maxLoaded || 0;
 
     this.processes = new Map();
     this.lastUsedProcess = '';
 
-    // Create a Process for each member in the group
+    // Create a Process for each member in the group, reusing processes
+    // carried over from a previous configuration
     for (const modelID of groupConfig.members) {
       const modelConfig = config.models[modelID];
-      const process = new Process(modelID, config.healthCheckTimeout, modelConfig, 
-                                  this.upstreamLogger, this.proxyLogger);
+      let process = existingProcesses.get(modelID);
+      if (process) {
+        process.config = modelConfig;
+        process.healthCheckTimeout = config.healthCheckTimeout;
+      } else {
+        process = new Process(modelID, config.healthCheckTimeout, modelConfig, 
+                              this.upstreamLogger, this.proxyLogger);
+      }
       this.processes.set(modelID, process);
     }
   }
 
-  async proxyRequest(modelID, req, res) {
+  // Forward a request to a ready member. forward(process, release) does the
+  // actual forwarding; the request stays in flight until the client's
+  // response is closed or release is called, so WAIT_FOR_INFLIGHT stops and
+  // the unloadAfter TTL do not cut it off.
+  async proxyRequest(modelID, req, res, forward) {
     if (!this.hasMember(modelID)) {
       throw new Error(`model ${modelID} not part of group ${this.id}`);
     }
 
-    if (this.swap) {
-      if (this.lastUsedProcess !== modelID) {
-        // Stop the currently running process if it's different
-        if (this.lastUsedProcess && this.processes.has(this.lastUsedProcess)) {
-          const oldProcess = this.processes.get(this.lastUsedProcess);
-          if (oldProcess.getCurrentState() === ProcessState.READY) {
-            await oldProcess.stop(StopStrategy.WAIT_FOR_INFLIGHT);
-          }
-        }
-
-        // Start the requested process
-        const process = this.processes.get(modelID);
-        const success = await process.start();
-        if (!success) {
-          throw new Error(`Failed to start process for model ${modelID}`);
-        }
-        
-        this.lastUsedProcess = modelID;
-      }
-    }
-
-    // Get the process and handle the request
     const process = this.processes.get(modelID);
-    process.addInFlightRequest();
+    if (process.getCurrentState() !== ProcessState.READY) {
+      throw new Error(`Model ${modelID} is not ready (state: ${process.getCurrentState()})`);
+    }
 
+    const release = process.trackRequest(res);
     try {
-      // This is where the actual proxying would happen
-      // For now, this is just a placeholder
-      // Implement proper proxy logic to forward the request to the model's server
-      res.status(501).json({ error: "Proxy implementation not fully implemented yet" });
-    } finally {
-      process.removeInFlightRequest();
+      return await forward(process, release);
+    } catch (err) {
+      release();
+      throw err;
     }
   }
 
@@ -405,8 +718,9 @@ class ProcessGroup {
   }
 }
 
-class ProcessManager {
+class ProcessManager extends EventEmitter {
   constructor(config, proxyLogger, upstreamLogger) {
+    super();
     this.config = config;
     this.proxyLogger = proxyLogger;
     this.upstreamLogger = upstreamLogger;
@@ -417,19 +731,114 @@ class ProcessManager {
     // ADD THIS: Track the last active group
     this.lastActiveGroup = null;
 
+    // Profile whose members are currently loaded side by side
+    this.activeProfile = null;
+
+    // Swap decisions run one at a time, in request order
+    this.swapQueue = [];
+    this.swapInProgress = false;
+    this.queueStats = new Map();
+
     // Create process groups
     for (const [groupID] of Object.entries(config.groups)) {
       const processGroup = new ProcessGroup(groupID, config, proxyLogger, upstreamLogger);
       this.processGroups.set(groupID, processGroup);
     }
+
+    this.onProcessRestart = ({ id }) => this.restartProcess(id);
+    this.onProcessStartComplete = (event) => this.emit('processStart', event);
+    this.onRequestCancelled = (event) => this.emit('requestCancelled', event);
+    this.attachProcessListeners();
+  }
+
+  attachProcessListeners() {
+    for (const group of this.processGroups.values()) {
+      for (const process of group.processes.values()) {
+        process.off('restart', this.onProcessRestart);
+        process.on('restart', this.onProcessRestart);
+        process.off('startComplete', this.onProcessStartComplete);
+        process.on('startComplete', this.onProcessStartComplete);
+        process.off('requestCancelled', this.onRequestCancelled);
+        process.on('requestCancelled', this.onRequestCancelled);
+      }
+    }
+  }
+
+  // Restart a process that exited unexpectedly, as long as it is still the
+  // model its group (or the active profile) wants loaded
+  restartProcess(modelID) {
+    return this.runExclusive(async () => {
+      const processGroup = this.findGroupByModelName(modelID);
+      const process = processGroup && processGroup.processes.get(modelID);
+      if (!process || this.shutdown || process.getCurrentState() !== ProcessState.STOPPED) {
+        return;
+      }
+
+      // A placed model is still wanted as long as it fits without evicting
+      const profileMembers = this.activeProfile ? this.config.profiles[this.activeProfile] || [] : [];
+      const placed = !this.activeProfile && (this.hasCapacityBudget() || this.hasLoadLimits()) &&
+        this.fitsWithoutEvicting(processGroup, modelID);
+      if (processGroup.lastUsedProcess !== modelID && !profileMembers.includes(modelID) && !placed) {
+        this.proxyLogger.info(`<${modelID}> Skipping restart, model is no longer in use`);
+        return;
+      }
+
+      this.proxyLogger.info(`<${modelID}> Restarting after unexpected exit`);
+      const success = await process.start();
+      if (!success && process.getCurrentState() === ProcessState.STOPPED) {
+        process.scheduleRestart(null, null);
+      }
+    }).catch(err => {
+      this.proxyLogger.error(`<${modelID}> Restart failed: ${err.message}`);
+    });
+  }
+
+  // Make the requested model the loaded one and wait until it is ready.
+  // Requests for the model that is already loaded return immediately, all
+  // others wait their turn in a FIFO queue so swaps never interleave.
+  async swapProcessGroup(requestedModel) {
+    const target = this.resolveSwapTarget(requestedModel);
+
+    // Fail fast while the model's circuit breaker is open
+    const process = target.processGroup.processes.get(target.realModelName);
+    if (process.isCircuitOpen()) {
+      throw process.createFailedError();
+    }
+
+    if (this.isLoaded(target)) {
+      return { processGroup: target.processGroup, realModelName: target.realModelName };
+    }
+
+    return this.enqueueSwap(requestedModel, target);
+  }
+
+  // Stop a model once its in-flight requests finished and load it again.
+  // Both happen in one queued task so no swap runs in between, and requests
+  // arriving meanwhile queue up behind it. A model that was not loaded is
+  // simply loaded.
+  restartModel(requestedModel) {
+    this.resolveSwapTarget(requestedModel);
+    return this.runExclusive(async () => {
+      const target = this.resolveSwapTarget(requestedModel);
+      const process = target.processGroup.processes.get(target.realModelName);
+      this.proxyLogger.info(`<${target.realModelName}> Restarting on request`);
+      await this.stopAndWait(process, StopStrategy.WAIT_FOR_INFLIGHT);
+      return this.performSwap(target);
+    });
   }
 
-async swapProcessGroup(requestedModel) {
-    const realModelName = this.config.aliases[requestedModel] ||
-                          (this.config.models[requestedModel] ? requestedModel : null);
+  resolveSwapTarget(requestedModel) {
+    let realModelName = this.config.aliases[requestedModel] ||
+                        (this.config.models[requestedModel] ? requestedModel : null);
+    let profile = null;
 
     if (!realModelName) {
-      throw new Error(`Could not find real modelID for ${requestedModel}`);
+      const profileModel = this.parseProfileModel(requestedModel);
+      if (!profileModel) {
+        throw new Error(`Could not find real modelID for ${requestedModel}`);
+      }
+      realModelName = profileModel.model;
+      profile = profileModel.profile;
     }
 
     const processGroup = this.findGroupByModelName(realModelName);
@@ -437,14 +846,301 @@ async swapProcessGroup(requestedModel) {
       throw new Error(`Could not find process group for model ${requestedModel}`);
     }
 
-    // Cross-group swapping
-    if (this.lastActiveGroup && 
+    return { realModelName, processGroup, profile };
+  }
+
+  // Whether a swap target is already loaded and needs no swap decision
+  isLoaded({ realModelName, processGroup, profile }) {
+    const process = processGroup.processes.get(realModelName);
+    if (!process || process.getCurrentState() !== ProcessState.READY) {
+      return false;
+    }
+
+    if (profile) {
+      return this.activeProfile === profile;
+    }
+
+    // Placed models and models under load limits stay loaded side by side
+    if (this.hasCapacityBudget() || this.hasLoadLimits()) {
+      return !this.activeProfile;
+    }
+
+    return !this.activeProfile &&
+      this.lastActiveGroup === processGroup &&
+      processGroup.lastUsedProcess === realModelName;
+  }
+
+  // Queue a task behind any running or pending swap. Generic tasks, such
+  // as config reloads, run in FIFO order when they reach the head.
+  runExclusive(task) {
+    return new Promise((resolve, reject) => {
+      this.swapQueue.push({ task, resolve, reject, enqueuedAt: Date.now() });
+      this.drainSwapQueue();
+    });
+  }
+
+  // Queue a swap request. The target is resolved again when the entry is
+  // scheduled, so a config reload in between is picked up.
+  enqueueSwap(requestedModel, target) {
+    return new Promise((resolve, reject) => {
+      this.swapQueue.push({ requestedModel, target, resolve, reject, enqueuedAt: Date.now() });
+      this.getModelQueueStats(target.realModelName).queueDepth++;
+      this.drainSwapQueue();
+    });
+  }
+
+  async drainSwapQueue() {
+    if (this.swapInProgress) {
+      return;
+    }
+
+    this.swapInProgress = true;
+    try {
+      while (this.swapQueue.length > 0) {
+        this.refreshQueuedTargets();
+        if (this.swapQueue.length === 0) {
+          break;
+        }
+
+        const { entry, waitMs } = this.pickNextEntry(Date.now());
+        if (!entry) {
+          await new Promise(resolve => setTimeout(resolve, waitMs));
+          continue;
+        }
+        this.swapQueue.splice(this.swapQueue.indexOf(entry), 1);
+
+        // Entries for a model that is already loaded need no swap
+        const swapping = entry.target && !this.isLoaded(entry.target);
+        const swapStart = Date.now();
+        try {
+          const result = entry.target
+            ? await this.performSwap(entry.target)
+            : await entry.task();
+          if (swapping) {
+            this.emit('swap', { model: entry.target.realModelName, success: true, durationMs: Date.now() - swapStart });
+          }
+          entry.resolve(result);
+        } catch (err) {
+          if (swapping) {
+            this.emit('swap', { model: entry.target.realModelName, success: false, durationMs: Date.now() - swapStart });
+          }
+          entry.reject(err);
+        } finally {
+          if (entry.target) {
+            this.recordQueueWait(entry.target.realModelName, Date.now() - entry.enqueuedAt);
+          }
+        }
+      }
+    } finally {
+      this.swapInProgress = false;
+    }
+  }
+
+  refreshQueuedTargets() {
+    for (const entry of [...this.swapQueue]) {
+      if (!entry.requestedModel) {
+        continue;
+      }
+      try {
+        entry.target = this.resolveSwapTarget(entry.requestedModel);
+      } catch (err) {
+        this.swapQueue.splice(this.swapQueue.indexOf(entry), 1);
+        this.recordQueueWait(entry.target.realModelName, Date.now() - entry.enqueuedAt);
+        entry.reject(err);
+      }
+    }
+  }
+
+  // Choose the next queued entry to run:
+  //  1. an entry that waited longer than its group's maxWait, oldest first
+  //  2. an entry for a model that is already loaded, so its batch drains
+  //     before anything is swapped out
+  //  3. the oldest entry, once the models it would replace have been
+  //     resident for their group's minResidency
+  // Returns a wait time instead of an entry when nothing can run yet.
+  pickNextEntry(now) {
+    const head = this.swapQueue[0];
+    if (!head.target) {
+      return { entry: head };
+    }
+
+    const overdue = this.swapQueue.find(entry => entry.target && this.overdueBy(entry, now) >= 0);
+    if (overdue) {
+      if (overdue !== head) {
+        this.proxyLogger.info(`<${overdue.target.realModelName}> Queued request exceeded maxWait, scheduling it next`);
+      }
+      return { entry: overdue };
+    }
+
+    const loaded = this.swapQueue.find(entry => entry.target && this.isLoaded(entry.target));
+    if (loaded) {
+      return { entry: loaded };
+    }
+
+    const residencyMs = this.residencyRemaining(head.target, now);
+    if (residencyMs <= 0) {
+      return { entry: head };
+    }
+
+    // Wake up when the residency ends or a queued request becomes overdue
+    let waitMs = residencyMs;
+    for (const entry of this.swapQueue) {
+      if (entry.target && entry.target.processGroup.scheduler.maxWait > 0) {
+        waitMs = Math.min(waitMs, -this.overdueBy(entry, now));
+      }
+    }
+    return { entry: null, waitMs: Math.max(waitMs, 10) };
+  }
+
+  // Milliseconds past the entry's maxWait, negative while still within it
+  overdueBy(entry, now) {
+    const maxWait = entry.target.processGroup.scheduler.maxWait;
+    if (!(maxWait > 0)) {
+      return -Infinity;
+    }
+    return now - entry.enqueuedAt - maxWait * 1000;
+  }
+
+  // Time left before the models a swap to the target would stop have been
+  // loaded for their group's minResidency
+  residencyRemaining({ realModelName, processGroup, profile }, now) {
+    if (profile) {
+      return 0;
+    }
+
+    const displaced = this.hasCapacityBudget()
+      ? this.planPlacement(realModelName).victims
+      : this.displacedBySwapRules(processGroup, realModelName);
+    displaced.push(...this.planLoadLimits(processGroup, realModelName, displaced));
+
+    let remaining = 0;
+    for (const { process, group } of displaced) {
+      const minResidencyMs = (group.scheduler.minResidency || 0) * 1000;
+      if (minResidencyMs > 0 && process.getCurrentState() === ProcessState.READY) {
+        remaining = Math.max(remaining, process.startTime + minResidencyMs - now);
+      }
+    }
+    return remaining;
+  }
+
+  // The models applySwapRules would stop for the target
+  displacedBySwapRules(processGroup, realModelName) {
+    const groups = [];
+    if (processGroup.swap && processGroup.lastUsedProcess && processGroup.lastUsedProcess !== realModelName) {
+      groups.push(processGroup);
+    }
+    for (const otherGroup of this.processGroups.values()) {
+      if (otherGroup === processGroup || otherGroup.persistent || processGroup.persistent) {
+        continue;
+      }
+      if (processGroup.exclusive || (otherGroup === this.lastActiveGroup && !this.hasLoadLimits())) {
+        groups.push(otherGroup);
+      }
+    }
+
+    return groups
+      .filter(group => group.processes.has(group.lastUsedProcess))
+      .map(group => ({ modelID: group.lastUsedProcess, process: group.processes.get(group.lastUsedProcess), group }));
+  }
+
+  getModelQueueStats(modelID) {
+    if (!this.queueStats.has(modelID)) {
+      this.queueStats.set(modelID, {
+        queueDepth: 0,
+        totalRequests: 0,
+        totalWaitMs: 0,
+        lastWaitMs: 0,
+        maxWaitMs: 0
+      });
+    }
+    return this.queueStats.get(modelID);
+  }
+
+  recordQueueWait(modelID, waitMs) {
+    const stats = this.getModelQueueStats(modelID);
+    stats.queueDepth = Math.max(0, stats.queueDepth - 1);
+    stats.totalRequests++;
+    stats.totalWaitMs += waitMs;
+    stats.lastWaitMs = waitMs;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+  }
+
+  // Queue depth and wait times for a model, the wait includes the time to
+  // swap and start the model
+  getQueueStats(modelID) {
+    const stats = this.getModelQueueStats(modelID);
+    return {
+      queueDepth: stats.queueDepth,
+      lastWaitMs: stats.lastWaitMs,
+      maxWaitMs: stats.maxWaitMs,
+      avgWaitMs: stats.totalRequests > 0 ? Math.round(stats.totalWaitMs / stats.totalRequests) : 0
+    };
+  }
+
+  async performSwap(target) {
+    const { realModelName, processGroup, profile } = target;
+
+    // The model may have been loaded by an earlier entry in the queue
+    if (this.isLoaded(target)) {
+      return { processGroup, realModelName };
+    }
+
+    if (profile) {
+      return this.swapProfile(profile, realModelName);
+    }
+
+    // Leaving a profile, stop its other members so the group rules apply again
+    if (this.activeProfile) {
+      const members = this.config.profiles[this.activeProfile] || [];
+      this.proxyLogger.info(`Leaving profile ${this.activeProfile}`);
+      this.activeProfile = null;
+
+      const stopPromises = [];
+      for (const modelID of members) {
+        const group = this.findGroupByModelName(modelID);
+        if (modelID !== realModelName && group && !group.persistent) {
+          stopPromises.push(this.stopAndWait(group.processes.get(modelID), StopStrategy.WAIT_FOR_INFLIGHT));
+        }
+      }
+      await Promise.all(stopPromises);
+    }
+
+    if (this.hasCapacityBudget()) {
+      await this.evictToFit(realModelName);
+    } else {
+      await this.applySwapRules(processGroup, realModelName);
+    }
+    await this.enforceLoadLimits(processGroup, realModelName);
+
+    // ✅ FIX: Update tracking BEFORE returning
+    this.lastActiveGroup = processGroup;
+    processGroup.lastUsedProcess = realModelName;  // ← THIS WAS MISSING!
+
+    // Start inside the queue so the next swap cannot stop a starting process
+    const process = processGroup.processes.get(realModelName);
+    const success = await process.start();
+    if (!success) {
+      if (process.getCurrentState() === ProcessState.FAILED) {
+        throw process.createFailedError();
+      }
+      throw new Error(`Failed to start process for model ${realModelName}${process.lastError ? `: ${process.lastError}` : ''}`);
+    }
+
+    return { processGroup, realModelName };
+  }
+
+
+  // Stop the models the group swap and exclusive rules displace
+  async applySwapRules(processGroup, realModelName) {
+    // Cross-group swapping, load limits evict by last use instead
+    if (!this.hasLoadLimits() &&
+        this.lastActiveGroup && 
         this.lastActiveGroup !== processGroup && 
         !this.lastActiveGroup.persistent &&
         !processGroup.persistent) {
       
       this.proxyLogger.info(`Swapping from group ${this.lastActiveGroup.id} to ${processGroup.id}`);
-      await this.lastActiveGroup.stopProcesses(StopStrategy.WAIT_FOR_INFLIGHT);
+      await this.stopGroupAndWait(this.lastActiveGroup, StopStrategy.WAIT_FOR_INFLIGHT);
       
       // ✅ FIX: Clear the last used process
       this.lastActiveGroup.lastUsedProcess = '';
@@ -455,7 +1151,7 @@ async swapProcessGroup(requestedModel) {
       this.proxyLogger.debug(`Exclusive mode for group ${processGroup.id}, stopping other process groups`);
       for (const [groupId, otherGroup] of this.processGroups) {
         if (groupId !== processGroup.id && !otherGroup.persistent) {
-          await otherGroup.stopProcesses(StopStrategy.WAIT_FOR_INFLIGHT);
+          await this.stopGroupAndWait(otherGroup, StopStrategy.WAIT_FOR_INFLIGHT);
           otherGroup.lastUsedProcess = '';  // ✅ FIX: Clear
         }
       }
@@ -467,23 +1163,397 @@ async swapProcessGroup(requestedModel) {
         const oldProcess = processGroup.processes.get(processGroup.lastUsedProcess);
         if (oldProcess.getCurrentState() === ProcessState.READY) {
           this.proxyLogger.info(`Swapping within group ${processGroup.id} from ${processGroup.lastUsedProcess} to ${realModelName}`);
-          await oldProcess.stop(StopStrategy.WAIT_FOR_INFLIGHT);
-          
           // ✅ FIX: Wait for it to actually stop
-          while (oldProcess.getCurrentState() === ProcessState.STOPPING) {
-            await new Promise(resolve => setTimeout(resolve, 100));
+          await this.stopAndWait(oldProcess, StopStrategy.WAIT_FOR_INFLIGHT);
+        }
+      }
+    }
+  }
+
+  // With a capacity budget models are placed by their declared resources,
+  // and the group swap and exclusive rules no longer apply
+  hasCapacityBudget() {
+    return Object.keys(this.config.capacity || {}).length > 0;
+  }
+
+  modelResources(modelID) {
+    const modelConfig = this.config.models[modelID];
+    return (modelConfig && modelConfig.resources) || {};
+  }
+
+  // Bytes per pool held by starting, ready and stopping models
+  getResourceUsage(exceptModelID = null) {
+    const used = {};
+    for (const group of this.processGroups.values()) {
+      for (const [modelID, process] of group.processes) {
+        const state = process.getCurrentState();
+        if (modelID === exceptModelID ||
+            ![ProcessState.STARTING, ProcessState.READY, ProcessState.STOPPING].includes(state)) {
+          continue;
+        }
+        for (const [pool, bytes] of Object.entries(this.modelResources(modelID))) {
+          used[pool] = (used[pool] || 0) + bytes;
+        }
+      }
+    }
+    return used;
+  }
+
+  // Capacity, usage and holders of every pool in the budget
+  getCapacityStatus() {
+    const used = this.getResourceUsage();
+    return Object.entries(this.config.capacity || {}).map(([pool, capacity]) => {
+      const models = [];
+      for (const group of this.processGroups.values()) {
+        for (const [modelID, process] of group.processes) {
+          const bytes = this.modelResources(modelID)[pool];
+          const state = process.getCurrentState();
+          if (bytes > 0 && [ProcessState.STARTING, ProcessState.READY, ProcessState.STOPPING].includes(state)) {
+            models.push({ model: modelID, state, bytes });
           }
         }
       }
+      return { pool, capacity, used: used[pool] || 0, free: capacity - (used[pool] || 0), models };
+    });
+  }
+
+  // Models of the given groups in the given states, least recently used
+  // first. Stopping models come first when included, they are on their way out.
+  evictionCandidates(groups, exceptModelID, states = [ProcessState.READY]) {
+    const candidates = [];
+    for (const group of groups) {
+      for (const [modelID, process] of group.processes) {
+        const state = process.getCurrentState();
+        if (modelID === exceptModelID || !states.includes(state)) {
+          continue;
+        }
+        const lastUsed = state === ProcessState.STOPPING
+          ? -Infinity
+          : Math.max(process.lastRequestHandled.getTime(), process.startTime);
+        candidates.push({ modelID, process, group, lastUsed });
+      }
     }
+    return candidates.sort((a, b) => a.lastUsed - b.lastUsed);
+  }
 
-    // ✅ FIX: Update tracking BEFORE returning
-    this.lastActiveGroup = processGroup;
-    processGroup.lastUsedProcess = realModelName;  // ← THIS WAS MISSING!
+  // Models to evict so the given one fits: stopping models first, then the
+  // least recently used idle ones, skipping persistent groups, models with
+  // requests in flight and models that hold none of the pools that are
+  // short. Returns the pools that are still short after those evictions,
+  // and the busy models that could make room once their requests finished.
+  planPlacement(realModelName) {
+    const pools = this.config.capacity;
+    const request = this.modelResources(realModelName);
+    const used = this.getResourceUsage(realModelName);
+    const groups = [...this.processGroups.values()].filter(group => !group.persistent);
+    const candidates = this.evictionCandidates(groups, realModelName, [ProcessState.READY, ProcessState.STOPPING]);
+    const isBusy = ({ process }) => process.getCurrentState() === ProcessState.READY && process.inFlightRequests > 0;
+    const holdsShortPool = (modelID, short) => short.some(pool => this.modelResources(modelID)[pool] > 0);
+
+    const victims = [];
+    for (const candidate of candidates) {
+      const short = overCapacity(pools, used, request);
+      if (short.length === 0) {
+        break;
+      }
+      if (isBusy(candidate) || !holdsShortPool(candidate.modelID, short)) {
+        continue;
+      }
+      victims.push({ ...candidate, reason: 'capacity', message: `not enough ${short.join(', ')} for ${realModelName}` });
+      for (const [pool, bytes] of Object.entries(this.modelResources(candidate.modelID))) {
+        used[pool] -= bytes;
+      }
+    }
+
+    const short = overCapacity(pools, used, request);
+    const busy = short.length > 0
+      ? candidates.filter(candidate => isBusy(candidate) && holdsShortPool(candidate.modelID, short))
+      : [];
+    return { victims, short, busy };
+  }
+
+  // Evict idle models until the given one fits. When only busy models could
+  // make room, wait for one of them to finish its requests and plan again.
+  async evictToFit(realModelName) {
+    for (;;) {
+      const { victims, short, busy } = this.planPlacement(realModelName);
+      if (short.length === 0) {
+        await this.evict(victims, realModelName);
+        return;
+      }
+      if (busy.length === 0) {
+        const err = new Error(`Model ${realModelName} does not fit the capacity budget, not enough ${short.join(', ')} even after evicting every other model`);
+        err.statusCode = 503;
+        throw err;
+      }
+
+      this.proxyLogger.info(`<${realModelName}> Waiting for ${busy.map(({ modelID }) => modelID).join(', ')} to finish their requests to make room`);
+      await this.waitForIdle(busy.map(({ process }) => process));
+    }
+  }
+
+  // Resolve once one of the processes has no requests in flight or changes state
+  waitForIdle(processes) {
+    return new Promise(resolve => {
+      const done = () => {
+        for (const process of processes) {
+          process.off('inFlightDrained', done);
+          process.off('stateChange', done);
+        }
+        resolve();
+      };
+      for (const process of processes) {
+        process.on('inFlightDrained', done);
+        process.on('stateChange', done);
+      }
+    });
+  }
+
+  // With load limits, groups no longer stop the last active group when
+  // another group is used
+  hasLoadLimits() {
+    return this.config.maxLoadedModels > 0 ||
+      [...this.processGroups.values()].some(group => group.maxLoaded > 0);
+  }
+
+  // Models to evict so loading the given one stays within its group's
+  // maxLoaded and the global maxLoadedModels. Models of persistent groups
+  // do not count towards maxLoadedModels and are only evicted by their own
+  // group's limit. Models in alreadyEvicted are treated as stopped.
+  planLoadLimits(processGroup, realModelName, alreadyEvicted = []) {
+    const victims = [];
+    const evicted = modelID => alreadyEvicted.some(victim => victim.modelID === modelID) ||
+      victims.some(victim => victim.modelID === modelID);
+    const countLoaded = groups => {
+      let count = 0;
+      for (const group of groups) {
+        for (const [modelID, process] of group.processes) {
+          const state = process.getCurrentState();
+          if (modelID !== realModelName && !evicted(modelID) &&
+              (state === ProcessState.STARTING || state === ProcessState.READY)) {
+            count++;
+          }
+        }
+      }
+      return count;
+    };
+
+    const limits = [];
+    if (processGroup.maxLoaded > 0) {
+      limits.push({
+        groups: [processGroup],
+        max: processGroup.maxLoaded,
+        reason: 'groupLimit',
+        message: `group ${processGroup.id} is limited to ${processGroup.maxLoaded} loaded models`
+      });
+    }
+    if (this.config.maxLoadedModels > 0 && !processGroup.persistent) {
+      limits.push({
+        groups: [...this.processGroups.values()].filter(group => !group.persistent),
+        max: this.config.maxLoadedModels,
+        reason: 'maxLoadedModels',
+        message: `maxLoadedModels is ${this.config.maxLoadedModels}`
+      });
+    }
+
+    for (const { groups, max, reason, message } of limits) {
+      for (const candidate of this.evictionCandidates(groups, realModelName)) {
+        if (countLoaded(groups) < max) {
+          break;
+        }
+        if (!evicted(candidate.modelID)) {
+          victims.push({ ...candidate, reason, message });
+        }
+      }
+    }
+    return victims;
+  }
+
+  async enforceLoadLimits(processGroup, realModelName) {
+    await this.evict(this.planLoadLimits(processGroup, realModelName), realModelName);
+  }
 
+  // Whether the model can be loaded without evicting any other model
+  fitsWithoutEvicting(processGroup, realModelName) {
+    if (this.hasCapacityBudget()) {
+      const { victims, short } = this.planPlacement(realModelName);
+      if (victims.length > 0 || short.length > 0) {
+        return false;
+      }
+    }
+    return this.planLoadLimits(processGroup, realModelName).length === 0;
+  }
+
+  // Stop evicted models one by one, announcing each with an eviction event
+  async evict(victims, realModelName) {
+    for (const { modelID, process, group, reason, message } of victims) {
+      this.proxyLogger.info(`<${modelID}> Evicting least recently used model to load ${realModelName}: ${message}`);
+      this.emit('eviction', { model: modelID, reason, message, loading: realModelName });
+      await this.stopAndWait(process, StopStrategy.WAIT_FOR_INFLIGHT);
+      if (group.lastUsedProcess === modelID) {
+        group.lastUsedProcess = '';
+      }
+    }
+  }
+
+  // Load every member of a profile side by side, bypassing the group swap
+  // rules, and route to the requested member
+  async swapProfile(profileName, realModelName) {
+    const members = this.config.profiles[profileName];
+
+    if (this.activeProfile !== profileName) {
+      this.proxyLogger.info(`Loading profile ${profileName}: ${members.join(', ')}`);
+
+      // Stop everything that is not part of the profile
+      const stopPromises = [];
+      for (const group of this.processGroups.values()) {
+        if (group.persistent) {
+          continue;
+        }
+        for (const [modelID, process] of group.processes) {
+          if (!members.includes(modelID)) {
+            stopPromises.push(this.stopAndWait(process, StopStrategy.WAIT_FOR_INFLIGHT));
+          }
+        }
+        group.lastUsedProcess = '';
+      }
+      await Promise.all(stopPromises);
+
+      this.activeProfile = profileName;
+      this.lastActiveGroup = null;
+    }
+
+    const results = await Promise.all(members.map(async (modelID) => {
+      const process = this.findGroupByModelName(modelID).processes.get(modelID);
+      return { modelID, success: await process.start() };
+    }));
+
+    for (const { modelID, success } of results) {
+      if (!success) {
+        this.proxyLogger.warn(`Profile ${profileName}: failed to start member ${modelID}`);
+        if (modelID === realModelName) {
+          const process = this.findGroupByModelName(modelID).processes.get(modelID);
+          if (process.getCurrentState() === ProcessState.FAILED) {
+            throw process.createFailedError();
+          }
+          throw new Error(`Failed to start process for model ${realModelName}${process.lastError ? `: ${process.lastError}` : ''}`);
+        }
+      }
+    }
+
+    const processGroup = this.findGroupByModelName(realModelName);
     return { processGroup, realModelName };
   }
 
+  parseProfileModel(search) {
+    const separator = search.indexOf(':');
+    if (separator <= 0) {
+      return null;
+    }
+
+    const profile = search.slice(0, separator);
+    const members = this.config.profiles && this.config.profiles[profile];
+    if (!members) {
+      return null;
+    }
+
+    const modelName = search.slice(separator + 1);
+    const realName = this.config.models[modelName] ? modelName : this.config.aliases[modelName];
+    if (!realName || !members.includes(realName)) {
+      return null;
+    }
+
+    return { profile, model: realName };
+  }
+
+  async stopAndWait(process, strategy = StopStrategy.IMMEDIATELY) {
+    await process.stop(strategy);
+    if (process.getCurrentState() === ProcessState.STOPPING) {
+      await process.waitForState(ProcessState.STOPPED, ProcessState.SHUTDOWN);
+    }
+  }
+
+  async stopGroupAndWait(processGroup, strategy = StopStrategy.IMMEDIATELY) {
+    const processes = Array.from(processGroup.processes.values());
+    await Promise.all(processes.map(process => this.stopAndWait(process, strategy)));
+  }
+
+  // Apply a new configuration, rebuilding only the processes whose command,
+  // proxy, environment or group membership changed
+  reloadConfig(newConfig) {
+    return this.runExclusive(() => this.applyConfig(newConfig));
+  }
+
+  async applyConfig(newConfig) {
+    const oldConfig = this.config;
+    const kept = new Map();
+    const stopped = [];
+
+    for (const [groupID, group] of this.processGroups) {
+      for (const [modelID, process] of group.processes) {
+        const newModelConfig = newConfig.models[modelID];
+        const newGroupConfig = newConfig.groups[groupID];
+        const sameGroup = newGroupConfig && newGroupConfig.members.includes(modelID);
+
+        if (newModelConfig && sameGroup && !processDefinitionChanged(oldConfig.models[modelID], newModelConfig)) {
+          kept.set(modelID, process);
+          continue;
+        }
+
+        stopped.push(modelID);
+        if (process.getCurrentState() !== ProcessState.STOPPED) {
+          this.proxyLogger.info(`<${modelID}> Configuration changed, stopping process`);
+        }
+      }
+    }
+
+    // Stop replaced processes before the new ones can claim their ports
+    const stopPromises = [];
+    for (const group of this.processGroups.values()) {
+      for (const [modelID, process] of group.processes) {
+        if (!kept.has(modelID)) {
+          stopPromises.push(this.stopAndWait(process, StopStrategy.WAIT_FOR_INFLIGHT));
+        }
+      }
+    }
+    await Promise.all(stopPromises);
+
+    const lastActiveGroupID = this.lastActiveGroup ? this.lastActiveGroup.id : null;
+    const processGroups = new Map();
+    for (const [groupID] of Object.entries(newConfig.groups)) {
+      const processGroup = new ProcessGroup(groupID, newConfig, this.proxyLogger, this.upstreamLogger, kept);
+
+      const oldGroup = this.processGroups.get(groupID);
+      if (oldGroup && kept.has(oldGroup.lastUsedProcess) && processGroup.hasMember(oldGroup.lastUsedProcess)) {
+        processGroup.lastUsedProcess = oldGroup.lastUsedProcess;
+      }
+      processGroups.set(groupID, processGroup);
+    }
+
+    if (this.activeProfile && !(newConfig.profiles && newConfig.profiles[this.activeProfile])) {
+      this.activeProfile = null;
+    }
+
+    this.config = newConfig;
+    this.processGroups = processGroups;
+    this.lastActiveGroup = lastActiveGroupID ? processGroups.get(lastActiveGroupID) || null : null;
+    this.attachProcessListeners();
+
+    const added = Object.keys(newConfig.models).filter(modelID => !oldConfig.models[modelID]);
+    const removed = Object.keys(oldConfig.models).filter(modelID => !newConfig.models[modelID]);
+    const rebuilt = stopped.filter(modelID => newConfig.models[modelID]);
+
+    return { added, removed, rebuilt, unchanged: Array.from(kept.keys()) };
+  }
+
+  // Forward a request to a loaded model, see ProcessGroup.proxyRequest
+  proxyRequest(modelID, req, res, forward) {
+    const processGroup = this.findGroupByModelName(modelID);
+    if (!processGroup) {
+      return Promise.reject(new Error(`could not find process group for model ${modelID}`));
+    }
+    return processGroup.proxyRequest(modelID, req, res, forward);
+  }
 
   findGroupByModelName(modelName) {
     for (const group of this.processGroups.values()) {
@@ -500,7 +1570,8 @@ async swapProcessGroup(requestedModel) {
     } else if (this.config.aliases[search]) {
       return this.config.aliases[search];
     } else {
-      return null;
+      const profileModel = this.parseProfileModel(search);
+      return profileModel ? profileModel.model : null;
     }
   }
 
@@ -511,4 +1582,4 @@ async swapProcessGroup(requestedModel) {
   }
 }
 
-module.exports = { Process, ProcessGroup, ProcessManager, ProcessState, StopStrategy };
\ No newline at end of file
+module.exports = { Process, ProcessGroup, ProcessManager, ProcessState, StopStrategy, RestartPolicy };
\ No newline at end of file
@@ -0,0 +1,761 @@
+const { Process, ProcessManager, ProcessState, RestartPolicy } = require('./process-manager');
+
+const GiB = 1024 ** 3;
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function groupConfig(members, options = {}) {
+  return {
+    swap: false,
+    exclusive: false,
+    persistent: false,
+    members,
+    scheduler: { minResidency: 0, maxWait: 0 },
+    maxLoaded: 0,
+    ...options
+  };
+}
+
+// A manager built from declared numbers only. No process is ever spawned:
+// models are marked loaded by setting their state. Models map to their
+// resources and go to the main group, or the pinned one when persistent,
+// unless groups are given.
+function createManager({ capacity = {}, maxLoadedModels = 0, models, persistent = [], groups = null }) {
+  const config = {
+    healthCheckTimeout: 15,
+    capacity,
+    maxLoadedModels,
+    models: {},
+    aliases: {},
+    profiles: {},
+    groups: groups || {
+      main: groupConfig([]),
+      pinned: groupConfig([], { persistent: true })
+    }
+  };
+  for (const [id, resources] of Object.entries(models)) {
+    config.models[id] = { cmd: 'model-server', proxy: 'http://127.0.0.1:1', env: [], resources };
+    if (!groups) {
+      config.groups[persistent.includes(id) ? 'pinned' : 'main'].members.push(id);
+    }
+  }
+  return new ProcessManager(config, logger, logger);
+}
+
+function getProcess(manager, modelID) {
+  return manager.findGroupByModelName(modelID).processes.get(modelID);
+}
+
+// Mark a model loaded, last used at the given time
+function markLoaded(manager, modelID, lastUsed) {
+  const process = getProcess(manager, modelID);
+  process.state = ProcessState.READY;
+  process.startTime = lastUsed;
+  process.lastRequestHandled = new Date(lastUsed);
+  return process;
+}
+
+// Replace each process start with one the test finishes by calling
+// release(modelID), or fail(modelID) to fail it. started lists the models
+// in the order their start began.
+function controlStarts(manager) {
+  const started = [];
+  const pending = new Map();
+  for (const group of manager.processGroups.values()) {
+    for (const [modelID, process] of group.processes) {
+      process.start = () => new Promise((resolve) => {
+        started.push(modelID);
+        process.state = ProcessState.STARTING;
+        pending.set(modelID, (success) => {
+          process.state = success ? ProcessState.READY : ProcessState.STOPPED;
+          process.startTime = Date.now();
+          resolve(success);
+        });
+      });
+    }
+  }
+  const settle = (modelID, success) => {
+    pending.get(modelID)(success);
+    pending.delete(modelID);
+  };
+  return {
+    started,
+    release: modelID => settle(modelID, true),
+    fail: modelID => settle(modelID, false)
+  };
+}
+
+// Let queued promise callbacks and timers of zero delay run
+function settled() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function victimIDs(plan) {
+  return plan.victims.map(({ modelID }) => modelID);
+}
+
+describe('ProcessManager placement', () => {
+  test('evicts nothing while the model fits', () => {
+    const manager = createManager({
+      capacity: { 'vram:gpu0': 24 * GiB },
+      models: { a: { 'vram:gpu0': 10 * GiB }, b: { 'vram:gpu0': 10 * GiB } }
+    });
+    markLoaded(manager, 'a', 1000);
+
+    expect(manager.planPlacement('b')).toEqual({ victims: [], short: [], busy: [] });
+  });
+
+  test('evicts the least recently used models until the model fits', () => {
+    const manager = createManager({
+      capacity: { 'vram:gpu0': 24 * GiB },
+      models: {
+        a: { 'vram:gpu0': 8 * GiB },
+        b: { 'vram:gpu0': 8 * GiB },
+        c: { 'vram:gpu0': 8 * GiB },
+        d: { 'vram:gpu0': 12 * GiB }
+      }
+    });
+    markLoaded(manager, 'a', 3000);
+    markLoaded(manager, 'b', 1000);
+    markLoaded(manager, 'c', 2000);
+
+    const plan = manager.planPlacement('d');
+    expect(victimIDs(plan)).toEqual(['b', 'c']);
+    expect(plan.short).toEqual([]);
+    expect(plan.victims[0]).toMatchObject({ reason: 'capacity', message: 'not enough vram:gpu0 for d' });
+  });
+
+  test('keeps models that hold none of the pools that are short', () => {
+    const manager = createManager({
+      capacity: { 'vram:gpu0': 16 * GiB, 'vram:gpu1': 16 * GiB },
+      models: {
+        a: { 'vram:gpu1': 12 * GiB },
+        b: { 'vram:gpu0': 12 * GiB },
+        c: { 'vram:gpu0': 8 * GiB }
+      }
+    });
+    markLoaded(manager, 'a', 1000);
+    markLoaded(manager, 'b', 2000);
+
+    expect(victimIDs(manager.planPlacement('c'))).toEqual(['b']);
+  });
+
+  test('counts the last request, not only the start, as use', () => {
+    const manager = createManager({
+      capacity: { ram: 16 * GiB },
+      models: { a: { ram: 8 * GiB }, b: { ram: 8 * GiB }, c: { ram: 8 * GiB } }
+    });
+    markLoaded(manager, 'a', 1000).lastRequestHandled = new Date(5000);
+    markLoaded(manager, 'b', 2000);
+
+    expect(victimIDs(manager.planPlacement('c'))).toEqual(['b']);
+  });
+
+  test('takes models that are already stopping first', () => {
+    const manager = createManager({
+      capacity: { ram: 16 * GiB },
+      models: { a: { ram: 8 * GiB }, b: { ram: 8 * GiB }, c: { ram: 8 * GiB } }
+    });
+    markLoaded(manager, 'a', 1000);
+    markLoaded(manager, 'b', 2000).state = ProcessState.STOPPING;
+
+    expect(victimIDs(manager.planPlacement('c'))).toEqual(['b']);
+  });
+
+  test('never evicts models of persistent groups or models still starting', () => {
+    const manager = createManager({
+      capacity: { ram: 16 * GiB },
+      models: { pinned: { ram: 8 * GiB }, starting: { ram: 4 * GiB }, idle: { ram: 4 * GiB }, big: { ram: 12 * GiB } },
+      persistent: ['pinned']
+    });
+    markLoaded(manager, 'pinned', 1000);
+    markLoaded(manager, 'starting', 500).state = ProcessState.STARTING;
+    markLoaded(manager, 'idle', 2000);
+
+    const plan = manager.planPlacement('big');
+    expect(victimIDs(plan)).toEqual(['idle']);
+    expect(plan.short).toEqual(['ram']);
+    expect(plan.busy).toEqual([]);
+  });
+
+  test('skips busy models and reports them when only they could make room', () => {
+    const manager = createManager({
+      capacity: { ram: 16 * GiB },
+      models: { busy: { ram: 8 * GiB }, idle: { ram: 8 * GiB }, c: { ram: 8 * GiB }, d: { ram: 16 * GiB } }
+    });
+    markLoaded(manager, 'busy', 1000).inFlightRequests = 1;
+    markLoaded(manager, 'idle', 2000);
+
+    expect(victimIDs(manager.planPlacement('c'))).toEqual(['idle']);
+
+    const plan = manager.planPlacement('d');
+    expect(plan.short).toEqual(['ram']);
+    expect(plan.busy.map(({ modelID }) => modelID)).toEqual(['busy']);
+  });
+
+  test('fails with a 503 when nothing can make room', async () => {
+    const manager = createManager({
+      capacity: { ram: 16 * GiB },
+      models: { pinned: { ram: 12 * GiB }, big: { ram: 8 * GiB } },
+      persistent: ['pinned']
+    });
+    markLoaded(manager, 'pinned', 1000);
+
+    await expect(manager.evictToFit('big')).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'Model big does not fit the capacity budget, not enough ram even after evicting every other model'
+    });
+    expect(getProcess(manager, 'pinned').getCurrentState()).toBe(ProcessState.READY);
+  });
+
+  test('waits for a busy model to finish its requests, then evicts it', async () => {
+    const manager = createManager({
+      capacity: { ram: 16 * GiB },
+      models: { busy: { ram: 12 * GiB }, big: { ram: 8 * GiB } }
+    });
+    const busy = markLoaded(manager, 'busy', 1000);
+    busy.inFlightRequests = 1;
+    const evictions = [];
+    manager.on('eviction', event => evictions.push(event));
+
+    let placed = false;
+    const placement = manager.evictToFit('big').then(() => { placed = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(placed).toBe(false);
+    expect(busy.getCurrentState()).toBe(ProcessState.READY);
+
+    busy.removeInFlightRequest();
+    await placement;
+    expect(busy.getCurrentState()).toBe(ProcessState.STOPPED);
+    expect(evictions).toEqual([
+      { model: 'busy', reason: 'capacity', message: 'not enough ram for big', loading: 'big' }
+    ]);
+  });
+});
+
+describe('ProcessManager load limits', () => {
+  test('evicts the least recently used models across groups for maxLoadedModels', () => {
+    const manager = createManager({
+      maxLoadedModels: 2,
+      models: { a: {}, b: {}, c: {} },
+      groups: { g1: groupConfig(['a']), g2: groupConfig(['b']), g3: groupConfig(['c']) }
+    });
+    markLoaded(manager, 'a', 2000);
+    markLoaded(manager, 'b', 1000);
+
+    const victims = manager.planLoadLimits(manager.findGroupByModelName('c'), 'c');
+    expect(victims.map(({ modelID }) => modelID)).toEqual(['b']);
+    expect(victims[0]).toMatchObject({ reason: 'maxLoadedModels', message: 'maxLoadedModels is 2' });
+  });
+
+  test("evicts only the group's own members for its maxLoaded", () => {
+    const manager = createManager({
+      models: { a: {}, b: {}, c: {}, other: {} },
+      groups: { chat: groupConfig(['a', 'b', 'c'], { maxLoaded: 2 }), misc: groupConfig(['other']) }
+    });
+    markLoaded(manager, 'other', 500);
+    markLoaded(manager, 'a', 1000);
+    markLoaded(manager, 'b', 2000);
+
+    const victims = manager.planLoadLimits(manager.findGroupByModelName('c'), 'c');
+    expect(victims.map(({ modelID }) => modelID)).toEqual(['a']);
+    expect(victims[0]).toMatchObject({ reason: 'groupLimit', message: 'group chat is limited to 2 loaded models' });
+  });
+
+  test('neither counts nor evicts persistent models for maxLoadedModels', () => {
+    const manager = createManager({
+      maxLoadedModels: 1,
+      models: { pinned: {}, a: {}, b: {} },
+      groups: { pinned: groupConfig(['pinned'], { persistent: true }), main: groupConfig(['a', 'b']) }
+    });
+    markLoaded(manager, 'pinned', 500);
+    markLoaded(manager, 'a', 1000);
+
+    const victims = manager.planLoadLimits(manager.findGroupByModelName('b'), 'b');
+    expect(victims.map(({ modelID }) => modelID)).toEqual(['a']);
+  });
+
+  test('evicts nothing while below the limits', () => {
+    const manager = createManager({
+      maxLoadedModels: 2,
+      models: { a: {}, b: {} },
+      groups: { g1: groupConfig(['a']), g2: groupConfig(['b']) }
+    });
+    markLoaded(manager, 'a', 1000);
+
+    expect(manager.planLoadLimits(manager.findGroupByModelName('b'), 'b')).toEqual([]);
+  });
+
+  test('keeps models of other groups loaded and announces each eviction', async () => {
+    const manager = createManager({
+      maxLoadedModels: 2,
+      models: { a: {}, b: {}, c: {} },
+      groups: { g1: groupConfig(['a']), g2: groupConfig(['b']), g3: groupConfig(['c']) }
+    });
+    let clock = 1000;
+    for (const modelID of ['a', 'b', 'c']) {
+      const process = getProcess(manager, modelID);
+      process.start = async () => {
+        process.state = ProcessState.READY;
+        process.startTime = clock += 1000;
+        return true;
+      };
+    }
+    const evictions = [];
+    manager.on('eviction', event => evictions.push(event));
+
+    await manager.swapProcessGroup('a');
+    await manager.swapProcessGroup('b');
+    expect(getProcess(manager, 'a').getCurrentState()).toBe(ProcessState.READY);
+
+    await manager.swapProcessGroup('c');
+    expect(['a', 'b', 'c'].map(modelID => getProcess(manager, modelID).getCurrentState()))
+      .toEqual([ProcessState.STOPPED, ProcessState.READY, ProcessState.READY]);
+    expect(manager.isLoaded(manager.resolveSwapTarget('b'))).toBe(true);
+    expect(evictions).toEqual([
+      { model: 'a', reason: 'maxLoadedModels', message: 'maxLoadedModels is 2', loading: 'c' }
+    ]);
+  });
+});
+
+describe('ProcessManager config reload', () => {
+  // The config of the manager with one model's fields changed
+  function changedConfig(manager, modelID, fields) {
+    const config = JSON.parse(JSON.stringify(manager.config));
+    Object.assign(config.models[modelID], fields);
+    return config;
+  }
+
+  test('keeps running models whose process definition is unchanged', async () => {
+    const manager = createManager({ models: { a: {}, b: {} } });
+    const a = markLoaded(manager, 'a', 1000);
+
+    const result = await manager.reloadConfig(changedConfig(manager, 'b', { cmd: 'other-server' }));
+    expect(result).toMatchObject({ rebuilt: ['b'], unchanged: ['a'] });
+    expect(getProcess(manager, 'a')).toBe(a);
+    expect(a.getCurrentState()).toBe(ProcessState.READY);
+  });
+
+  test.each([
+    ['cmd', 'other-server'],
+    ['proxy', 'http://127.0.0.1:2'],
+    ['checkEndpoint', '/v1/models'],
+    ['env', ['A=1']]
+  ])('rebuilds a model when its %s changes', async (field, value) => {
+    const manager = createManager({ models: { a: {} } });
+    const a = markLoaded(manager, 'a', 1000);
+
+    const result = await manager.reloadConfig(changedConfig(manager, 'a', { [field]: value }));
+    expect(result.rebuilt).toEqual(['a']);
+    expect(a.getCurrentState()).toBe(ProcessState.STOPPED);
+    expect(getProcess(manager, 'a')).not.toBe(a);
+  });
+});
+
+describe('ProcessManager swap queue', () => {
+  function swapGroupManager() {
+    return createManager({
+      models: { a: {}, b: {}, c: {} },
+      groups: { main: groupConfig(['a', 'b', 'c'], { swap: true }) }
+    });
+  }
+
+  test('runs swaps one at a time in request order', async () => {
+    const manager = swapGroupManager();
+    const starts = controlStarts(manager);
+
+    const swaps = ['a', 'b', 'c'].map(modelID => manager.swapProcessGroup(modelID));
+    await settled();
+    expect(starts.started).toEqual(['a']);
+
+    starts.release('a');
+    await settled();
+    expect(starts.started).toEqual(['a', 'b']);
+    // b replaced a within the swap group before starting
+    expect(getProcess(manager, 'a').getCurrentState()).toBe(ProcessState.STOPPED);
+
+    starts.release('b');
+    await settled();
+    starts.release('c');
+    const results = await Promise.all(swaps);
+    expect(results.map(({ realModelName }) => realModelName)).toEqual(['a', 'b', 'c']);
+    expect(starts.started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('serves a loaded model without queueing behind a running swap', async () => {
+    const manager = createManager({
+      maxLoadedModels: 2,
+      models: { a: {}, b: {} },
+      groups: { g1: groupConfig(['a']), g2: groupConfig(['b']) }
+    });
+    const starts = controlStarts(manager);
+    const swapToA = manager.swapProcessGroup('a');
+    await settled();
+    starts.release('a');
+    await swapToA;
+
+    const swapToB = manager.swapProcessGroup('b');
+    await settled();
+    expect(starts.started).toEqual(['a', 'b']);
+    expect((await manager.swapProcessGroup('a')).realModelName).toBe('a');
+
+    starts.release('b');
+    await swapToB;
+    expect(starts.started).toEqual(['a', 'b']);
+  });
+
+  test('starts a model once for all requests queued for it', async () => {
+    const manager = swapGroupManager();
+    const starts = controlStarts(manager);
+
+    const swaps = [manager.swapProcessGroup('a'), manager.swapProcessGroup('a'), manager.swapProcessGroup('a')];
+    await settled();
+    starts.release('a');
+    await Promise.all(swaps);
+
+    expect(starts.started).toEqual(['a']);
+  });
+
+  test('rejects only the swap whose start failed and goes on with the queue', async () => {
+    const manager = swapGroupManager();
+    const starts = controlStarts(manager);
+    const events = [];
+    manager.on('swap', ({ model, success }) => events.push([model, success]));
+
+    const failing = manager.swapProcessGroup('a');
+    const next = manager.swapProcessGroup('b');
+    await settled();
+    starts.fail('a');
+    await expect(failing).rejects.toThrow('Failed to start process for model a');
+
+    await settled();
+    starts.release('b');
+    expect((await next).realModelName).toBe('b');
+    expect(events).toEqual([['a', false], ['b', true]]);
+  });
+
+  test('runs a config reload only after the running swap', async () => {
+    const manager = swapGroupManager();
+    const starts = controlStarts(manager);
+
+    const swap = manager.swapProcessGroup('a');
+    await settled();
+    let reloaded = false;
+    const reload = manager.reloadConfig(manager.config).then(() => { reloaded = true; });
+    await settled();
+    expect(reloaded).toBe(false);
+
+    starts.release('a');
+    await swap;
+    await reload;
+    expect(getProcess(manager, 'a').getCurrentState()).toBe(ProcessState.READY);
+  });
+
+  test('counts queued requests and their wait per model', async () => {
+    const manager = swapGroupManager();
+    const starts = controlStarts(manager);
+
+    const swaps = [manager.swapProcessGroup('a'), manager.swapProcessGroup('b')];
+    await settled();
+    expect(manager.getQueueStats('b').queueDepth).toBe(1);
+
+    starts.release('a');
+    await settled();
+    starts.release('b');
+    await Promise.all(swaps);
+    expect(manager.getQueueStats('b')).toMatchObject({ queueDepth: 0 });
+    expect(manager.getQueueStats('b').maxWaitMs).toBeGreaterThanOrEqual(0);
+    expect(manager.getQueueStats('a').queueDepth).toBe(0);
+  });
+});
+
+describe('ProcessManager swap scheduler', () => {
+  const now = 100000;
+
+  // A swap group with a loaded since the given time
+  function schedulerManager(scheduler, loadedSince = now - 5000) {
+    const manager = createManager({
+      models: { a: {}, b: {}, c: {} },
+      groups: { main: groupConfig(['a', 'b', 'c'], { swap: true, scheduler }) }
+    });
+    const group = manager.findGroupByModelName('a');
+    markLoaded(manager, 'a', loadedSince);
+    group.lastUsedProcess = 'a';
+    manager.lastActiveGroup = group;
+    return manager;
+  }
+
+  function queue(manager, entries) {
+    manager.swapQueue = entries.map(([modelID, enqueuedAt]) => ({
+      requestedModel: modelID,
+      target: manager.resolveSwapTarget(modelID),
+      enqueuedAt
+    }));
+    return manager.swapQueue;
+  }
+
+  test('takes the oldest entry when the scheduler is off', () => {
+    const manager = schedulerManager({ minResidency: 0, maxWait: 0 });
+    const [b] = queue(manager, [['b', now - 1000], ['c', now - 500]]);
+
+    expect(manager.pickNextEntry(now)).toEqual({ entry: b });
+  });
+
+  test('lets requests for the loaded model go before a swap away from it', () => {
+    const manager = schedulerManager({ minResidency: 0, maxWait: 0 });
+    const [, a] = queue(manager, [['b', now - 1000], ['a', now]]);
+
+    expect(manager.pickNextEntry(now)).toEqual({ entry: a });
+  });
+
+  test('holds a swap until the loaded model stayed for minResidency', () => {
+    const manager = schedulerManager({ minResidency: 30, maxWait: 0 });
+    queue(manager, [['b', now - 1000]]);
+
+    expect(manager.pickNextEntry(now)).toEqual({ entry: null, waitMs: 25000 });
+    expect(manager.pickNextEntry(now + 25000).entry.requestedModel).toBe('b');
+  });
+
+  test('wakes up early when a queued request would exceed maxWait', () => {
+    const manager = schedulerManager({ minResidency: 30, maxWait: 10 });
+    queue(manager, [['b', now - 1000]]);
+
+    expect(manager.pickNextEntry(now)).toEqual({ entry: null, waitMs: 9000 });
+  });
+
+  test('runs a request past maxWait first, even before the loaded batch', () => {
+    const manager = schedulerManager({ minResidency: 30, maxWait: 10 });
+    const [, c] = queue(manager, [['a', now - 2000], ['c', now - 11000], ['a', now]]);
+
+    expect(manager.pickNextEntry(now)).toEqual({ entry: c });
+  });
+
+  test('runs generic tasks at the head of the queue right away', () => {
+    const manager = schedulerManager({ minResidency: 30, maxWait: 0 });
+    const task = { task: () => {}, enqueuedAt: now };
+    manager.swapQueue = [task, ...queue(manager, [['b', now - 1000]])];
+
+    expect(manager.pickNextEntry(now)).toEqual({ entry: task });
+  });
+
+  test('drains queued requests for the model that just loaded before swapping', async () => {
+    const manager = createManager({
+      models: { a: {}, b: {} },
+      groups: { main: groupConfig(['a', 'b'], { swap: true }) }
+    });
+    const starts = controlStarts(manager);
+    const served = [];
+    const swap = modelID => manager.swapProcessGroup(modelID).then(({ realModelName }) => served.push(realModelName));
+
+    const swaps = [swap('a')];
+    await settled();
+    swaps.push(swap('b'), swap('a'), swap('a'));
+    starts.release('a');
+    await settled();
+    expect(served).toEqual(['a', 'a', 'a']);
+    expect(starts.started).toEqual(['a', 'b']);
+
+    starts.release('b');
+    await Promise.all(swaps);
+    expect(served).toEqual(['a', 'a', 'a', 'b']);
+  });
+});
+
+describe('Process crash recovery', () => {
+  function createProcess(options = {}) {
+    return new Process('m', 15, {
+      cmd: `${process.execPath} -e "process.exit(1)"`,
+      proxy: 'http://127.0.0.1:1',
+      checkEndpoint: 'none',
+      env: [],
+      restartPolicy: RestartPolicy.NEVER,
+      restartMaxRetries: 2,
+      restartBackoff: 1,
+      failureThreshold: 2,
+      failureCooldown: 300,
+      ...options
+    }, logger, logger);
+  }
+
+  // A ready process whose child exits with the given code
+  function exitWhileReady(model, code, signal = null) {
+    model.state = ProcessState.READY;
+    model.startTime = Date.now();
+    model.lastExitCode = code;
+    model.lastExitSignal = signal;
+    model.handleProcessExit(code, signal);
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('marks the model failed after failureThreshold failed starts', async () => {
+    const model = createProcess();
+
+    expect(await model.start()).toBe(false);
+    expect(model.getCurrentState()).toBe(ProcessState.STOPPED);
+    expect(model.lastError).toBe('Process exited during startup (exit code 1)');
+
+    expect(await model.start()).toBe(false);
+    expect(model.getCurrentState()).toBe(ProcessState.FAILED);
+    expect(model.isCircuitOpen()).toBe(true);
+  });
+
+  test('rejects starts while the circuit is open and retries once after the cooldown', async () => {
+    const model = createProcess();
+    model.state = ProcessState.FAILED;
+    model.failedStartCount = 2;
+    model.failedAt = Date.now();
+    model.lastError = 'boom';
+    model.recordOutput('stderr', 'out of memory\n');
+
+    expect(await model.start()).toBe(false);
+    expect(model.failedStartCount).toBe(2);
+    const err = model.createFailedError();
+    expect(err).toMatchObject({ statusCode: 503, message: 'model m is unavailable after 2 failed starts: boom' });
+    expect(err.details.stderr).toEqual(['out of memory']);
+
+    // The single retry after the cooldown fails, so the circuit opens again
+    model.failedAt = Date.now() - 301 * 1000;
+    expect(model.isCircuitOpen()).toBe(false);
+    expect(await model.start()).toBe(false);
+    expect(model.getCurrentState()).toBe(ProcessState.FAILED);
+    expect(model.isCircuitOpen()).toBe(true);
+  });
+
+  test('resets the circuit breaker on an explicit stop', async () => {
+    const model = createProcess();
+    model.state = ProcessState.FAILED;
+    model.failedStartCount = 2;
+    model.restartAttempts = 2;
+    model.failedAt = Date.now();
+
+    await model.stop();
+    expect(model.getCurrentState()).toBe(ProcessState.STOPPED);
+    expect(model.failedStartCount).toBe(0);
+    expect(model.restartAttempts).toBe(0);
+  });
+
+  test.each([
+    [RestartPolicy.NEVER, 1, false],
+    [RestartPolicy.ON_FAILURE, 0, false],
+    [RestartPolicy.ON_FAILURE, 1, true],
+    [RestartPolicy.ALWAYS, 0, true]
+  ])('with restartPolicy %s an exit with code %i restarts: %s', async (restartPolicy, code, restarts) => {
+    jest.useFakeTimers();
+    const model = createProcess({ restartPolicy });
+    const restartEvents = [];
+    model.on('restart', event => restartEvents.push(event));
+
+    exitWhileReady(model, code);
+    await Promise.resolve();
+    jest.advanceTimersByTime(1000);
+
+    expect(model.getCurrentState()).toBe(ProcessState.STOPPED);
+    expect(restartEvents).toEqual(restarts ? [{ id: 'm', attempt: 1 }] : []);
+  });
+
+  test('doubles the backoff on every restart and gives up after restartMaxRetries', async () => {
+    jest.useFakeTimers();
+    const model = createProcess({ restartPolicy: RestartPolicy.ALWAYS, restartMaxRetries: 2, restartBackoff: 2 });
+    const restartEvents = [];
+    model.on('restart', event => restartEvents.push(event));
+
+    exitWhileReady(model, 1);
+    await Promise.resolve();
+    jest.advanceTimersByTime(1999);
+    expect(restartEvents).toEqual([]);
+    jest.advanceTimersByTime(1);
+    expect(restartEvents).toEqual([{ id: 'm', attempt: 1 }]);
+
+    exitWhileReady(model, 1);
+    await Promise.resolve();
+    jest.advanceTimersByTime(3999);
+    expect(restartEvents).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(restartEvents).toEqual([{ id: 'm', attempt: 1 }, { id: 'm', attempt: 2 }]);
+
+    exitWhileReady(model, null, 'SIGKILL');
+    await Promise.resolve();
+    expect(model.getCurrentState()).toBe(ProcessState.FAILED);
+    expect(model.lastError).toBe('Process exited 3 times (last killed by signal SIGKILL)');
+  });
+
+  test('gives a process that stayed up for a minute a fresh retry budget', async () => {
+    jest.useFakeTimers();
+    const model = createProcess({ restartPolicy: RestartPolicy.ALWAYS, restartMaxRetries: 2 });
+    model.restartAttempts = 2;
+
+    model.state = ProcessState.READY;
+    model.startTime = Date.now() - 61 * 1000;
+    model.handleProcessExit(1, null);
+    await Promise.resolve();
+
+    expect(model.getCurrentState()).toBe(ProcessState.STOPPED);
+    expect(model.restartAttempts).toBe(1);
+  });
+
+  test('cancels a pending restart when the model is stopped', async () => {
+    jest.useFakeTimers();
+    const model = createProcess({ restartPolicy: RestartPolicy.ALWAYS });
+    const restartEvents = [];
+    model.on('restart', event => restartEvents.push(event));
+
+    exitWhileReady(model, 1);
+    await Promise.resolve();
+    await model.stop();
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(restartEvents).toEqual([]);
+  });
+});
+
+describe('ProcessManager crash recovery', () => {
+  test('restarts the model its group still wants loaded', async () => {
+    const manager = createManager({
+      models: { a: {}, b: {} },
+      groups: { main: groupConfig(['a', 'b'], { swap: true }) }
+    });
+    const starts = controlStarts(manager);
+    manager.findGroupByModelName('a').lastUsedProcess = 'a';
+
+    const restart = manager.restartProcess('a');
+    await settled();
+    expect(starts.started).toEqual(['a']);
+    starts.release('a');
+    await restart;
+    expect(getProcess(manager, 'a').getCurrentState()).toBe(ProcessState.READY);
+  });
+
+  test('skips the restart of a model that was swapped out meanwhile', async () => {
+    const manager = createManager({
+      models: { a: {}, b: {} },
+      groups: { main: groupConfig(['a', 'b'], { swap: true }) }
+    });
+    const starts = controlStarts(manager);
+    manager.findGroupByModelName('a').lastUsedProcess = 'b';
+
+    await manager.restartProcess('a');
+    expect(starts.started).toEqual([]);
+  });
+
+  test('restarts a model under load limits only while it fits without evicting', async () => {
+    const manager = createManager({
+      maxLoadedModels: 1,
+      models: { a: {}, b: {} },
+      groups: { g1: groupConfig(['a']), g2: groupConfig(['b']) }
+    });
+    const starts = controlStarts(manager);
+    markLoaded(manager, 'b', 1000);
+
+    await manager.restartProcess('a');
+    expect(starts.started).toEqual([]);
+
+    getProcess(manager, 'b').state = ProcessState.STOPPED;
+    const restart = manager.restartProcess('a');
+    await settled();
+    starts.release('a');
+    await restart;
+    expect(starts.started).toEqual(['a']);
+  });
+});
@@ -0,0 +1,146 @@
+const { Registry, Counter, Gauge, Histogram } = require('./prometheus');
+
+describe('Counter', () => {
+  test('renders help, type and one line per label set', () => {
+    const counter = new Counter('requests_total', 'Requests handled');
+    counter.inc({ model: 'a' });
+    counter.inc({ model: 'a' }, 2);
+    counter.inc({ model: 'b' });
+
+    expect(counter.render()).toEqual([
+      '# HELP requests_total Requests handled',
+      '# TYPE requests_total counter',
+      'requests_total{model="a"} 3',
+      'requests_total{model="b"} 1'
+    ]);
+  });
+
+  test('treats label sets with a different order as the same series', () => {
+    const counter = new Counter('requests_total', 'Requests handled');
+    counter.inc({ model: 'a', status: '200' });
+    counter.inc({ status: '200', model: 'a' });
+
+    const series = counter.render().slice(2);
+    expect(series).toHaveLength(1);
+    expect(series[0]).toMatch(/^requests_total\{.*\} 2$/);
+  });
+
+  test('renders a series without labels without braces', () => {
+    const counter = new Counter('restarts_total', 'Restarts');
+    counter.inc();
+
+    expect(counter.render()[2]).toBe('restarts_total 1');
+  });
+
+  test('escapes backslashes, quotes and newlines in label values', () => {
+    const counter = new Counter('requests_total', 'Requests handled');
+    counter.inc({ model: 'a\\b "c"\nd' });
+
+    expect(counter.render()[2]).toBe('requests_total{model="a\\\\b \\"c\\"\\nd"} 1');
+  });
+
+  test('keeps newlines out of the help text', () => {
+    const counter = new Counter('requests_total', 'Requests\nhandled');
+
+    expect(counter.render()[0]).toBe('# HELP requests_total Requests handled');
+  });
+});
+
+describe('Gauge', () => {
+  test('renders the last value set for each label set', () => {
+    const gauge = new Gauge('queue_depth', 'Queued requests');
+    gauge.set({ model: 'a' }, 4);
+    gauge.set({ model: 'a' }, 2);
+
+    expect(gauge.render()).toEqual([
+      '# HELP queue_depth Queued requests',
+      '# TYPE queue_depth gauge',
+      'queue_depth{model="a"} 2'
+    ]);
+  });
+
+  test('runs the collect callback on every render and drops stale series', () => {
+    let models = ['a', 'b'];
+    const gauge = new Gauge('loaded', 'Loaded models', (g) => {
+      for (const model of models) {
+        g.set({ model }, 1);
+      }
+    });
+
+    expect(gauge.render().slice(2)).toEqual(['loaded{model="a"} 1', 'loaded{model="b"} 1']);
+    models = ['b'];
+    expect(gauge.render().slice(2)).toEqual(['loaded{model="b"} 1']);
+  });
+
+  test('renders infinite values the Prometheus way', () => {
+    const gauge = new Gauge('limit', 'Limit');
+    gauge.set({ kind: 'upper' }, Infinity);
+    gauge.set({ kind: 'lower' }, -Infinity);
+
+    expect(gauge.render().slice(2)).toEqual(['limit{kind="upper"} +Inf', 'limit{kind="lower"} -Inf']);
+  });
+});
+
+describe('Histogram', () => {
+  test('renders cumulative buckets, +Inf, _sum and _count', () => {
+    const histogram = new Histogram('duration_seconds', 'Durations', [5, 1]);
+    histogram.observe({ model: 'a' }, 0.5);
+    histogram.observe({ model: 'a' }, 2);
+    histogram.observe({ model: 'a' }, 10);
+
+    expect(histogram.render()).toEqual([
+      '# HELP duration_seconds Durations',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{model="a",le="1"} 1',
+      'duration_seconds_bucket{model="a",le="5"} 2',
+      'duration_seconds_bucket{model="a",le="+Inf"} 3',
+      'duration_seconds_sum{model="a"} 12.5',
+      'duration_seconds_count{model="a"} 3'
+    ]);
+  });
+
+  test('counts a value equal to a bound in that bucket', () => {
+    const histogram = new Histogram('duration_seconds', 'Durations', [1]);
+    histogram.observe({}, 1);
+
+    expect(histogram.render().slice(2)).toEqual([
+      'duration_seconds_bucket{le="1"} 1',
+      'duration_seconds_bucket{le="+Inf"} 1',
+      'duration_seconds_sum 1',
+      'duration_seconds_count 1'
+    ]);
+  });
+});
+
+describe('Registry', () => {
+  test('renders all metrics in registration order, ending with a newline', () => {
+    const registry = new Registry();
+    registry.counter('b_total', 'B').inc();
+    registry.gauge('a', 'A').set({}, 1);
+
+    expect(registry.render()).toBe([
+      '# HELP b_total B',
+      '# TYPE b_total counter',
+      'b_total 1',
+      '# HELP a A',
+      '# TYPE a gauge',
+      'a 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('rejects a metric name that is already registered', () => {
+    const registry = new Registry();
+    registry.counter('requests_total', 'Requests');
+
+    expect(() => registry.histogram('requests_total', 'Requests', [1]))
+      .toThrow('metric requests_total is already registered');
+  });
+
+  test('renders only headers for metrics without values', () => {
+    const registry = new Registry();
+    registry.counter('requests_total', 'Requests');
+
+    expect(registry.render()).toBe('# HELP requests_total Requests\n# TYPE requests_total counter\n');
+  });
+});
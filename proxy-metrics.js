@@ -0,0 +1,118 @@
+const { Registry } = require('./prometheus');
+const { ProcessState } = require('./process-manager');
+
+const durationBuckets = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+const requestBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Prometheus metrics for the proxy: model process state, swaps, process
+// starts, proxied requests and token usage reported by the upstreams
+class ProxyMetrics {
+  constructor(processManager, metricsMonitor) {
+    this.processManager = processManager;
+    this.registry = new Registry();
+
+    this.registry.gauge('modelswap_model_state', 'Current state of a model process, 1 for the active state', (gauge) => {
+      this.forEachProcess((modelId, process) => {
+        for (const state of Object.values(ProcessState)) {
+          gauge.set({ model: modelId, state }, process.getCurrentState() === state ? 1 : 0);
+        }
+      });
+    });
+
+    this.registry.gauge('modelswap_model_in_flight_requests', 'Requests currently being handled by a model', (gauge) => {
+      this.forEachProcess((modelId, process) => {
+        gauge.set({ model: modelId }, process.inFlightRequests);
+      });
+    });
+
+    this.registry.gauge('modelswap_swap_queue_depth', 'Requests waiting in the swap queue for a model', (gauge) => {
+      this.forEachProcess((modelId) => {
+        gauge.set({ model: modelId }, this.processManager.getQueueStats(modelId).queueDepth);
+      });
+    });
+
+    this.swaps = this.registry.counter('modelswap_swaps_total', 'Swaps to a model, by outcome');
+    this.swapDuration = this.registry.histogram('modelswap_swap_duration_seconds', 'Time to swap to a model, including stopping other models and starting it', durationBuckets);
+    this.startDuration = this.registry.histogram('modelswap_process_start_duration_seconds', 'Time from spawning a model process until it is ready or failed', durationBuckets);
+    this.healthCheckDuration = this.registry.histogram('modelswap_health_check_duration_seconds', 'Time spent polling the health endpoint during a start', durationBuckets);
+    this.requests = this.registry.counter('modelswap_requests_total', 'HTTP requests handled by the proxy, by endpoint and status');
+    this.requestDuration = this.registry.histogram('modelswap_request_duration_seconds', 'Latency of HTTP requests handled by the proxy, by endpoint', requestBuckets);
+    this.tokens = this.registry.counter('modelswap_tokens_total', 'Tokens reported by upstream responses, by model and type');
+    this.cancelled = this.registry.counter('modelswap_cancelled_requests_total', 'Requests whose client disconnected before the response finished, by model');
+    this.cancelledSeconds = this.registry.counter('modelswap_cancelled_request_seconds_total', 'Time models spent on requests before their client disconnected');
+    this.fallbacks = this.registry.counter('modelswap_fallbacks_total', 'Requests answered by a fallback model, by requested and serving model');
+    this.evictions = this.registry.counter('modelswap_evictions_total', 'Models evicted to make room for another one, by model and reason');
+
+    processManager.on('swap', ({ model, success, durationMs }) => {
+      const outcome = success ? 'success' : 'failure';
+      this.swaps.inc({ model, outcome });
+      this.swapDuration.observe({ model, outcome }, durationMs / 1000);
+    });
+
+    processManager.on('processStart', ({ id, success, durationMs, healthCheckDurationMs }) => {
+      const outcome = success ? 'success' : 'failure';
+      this.startDuration.observe({ model: id, outcome }, durationMs / 1000);
+      this.healthCheckDuration.observe({ model: id, outcome }, healthCheckDurationMs / 1000);
+    });
+
+    processManager.on('requestCancelled', ({ id, durationMs }) => {
+      this.cancelled.inc({ model: id });
+      this.cancelledSeconds.inc({ model: id }, durationMs / 1000);
+    });
+
+    processManager.on('eviction', ({ model, reason }) => {
+      this.evictions.inc({ model, reason });
+    });
+
+    metricsMonitor.on('metrics', (entry) => this.countTokens(entry));
+  }
+
+  forEachProcess(callback) {
+    for (const group of this.processManager.processGroups.values()) {
+      for (const [modelId, process] of group.processes) {
+        callback(modelId, process);
+      }
+    }
+  }
+
+  countTokens(entry) {
+    const counts = {
+      input: entry.input_tokens,
+      output: entry.output_tokens,
+      cache: entry.cache_tokens
+    };
+    for (const [type, count] of Object.entries(counts)) {
+      if (count > 0) {
+        this.tokens.inc({ model: entry.model, type }, count);
+      }
+    }
+  }
+
+  countFallback(requestedModel, servedBy) {
+    this.fallbacks.inc({ model: requestedModel, served_by: servedBy });
+  }
+
+  // Count every request once its response has been sent or the client went
+  // away. Endpoints are labelled by route so model names in paths do not
+  // create new series.
+  middleware() {
+    return (req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.once('close', () => {
+        const endpoint = req.route ? req.route.path : 'other';
+        const status = res.writableFinished ? String(res.statusCode) : 'aborted';
+        this.requests.inc({ endpoint, method: req.method, status });
+        this.requestDuration.observe({ endpoint }, Number(process.hrtime.bigint() - start) / 1e9);
+      });
+      next();
+    };
+  }
+
+  render() {
+    return this.registry.render();
+  }
+}
+
+ProxyMetrics.contentType = Registry.contentType;
+
+module.exports = ProxyMetrics;
@@ -0,0 +1,136 @@
+const EventEmitter = require('events');
+const ProxyMetrics = require('./proxy-metrics');
+const { ProcessState } = require('./process-manager');
+
+// Stand-in for ProcessManager with a single group of fake processes
+function createProcessManager(processes = {}) {
+  const processManager = new EventEmitter();
+  processManager.processGroups = new Map([
+    ['(default)', { processes: new Map(Object.entries(processes)) }]
+  ]);
+  processManager.getQueueStats = () => ({ queueDepth: 0 });
+  return processManager;
+}
+
+function seriesLines(metrics, name) {
+  return metrics.render().split('\n').filter(line => line.startsWith(name));
+}
+
+describe('ProxyMetrics', () => {
+  let processManager;
+  let metricsMonitor;
+  let metrics;
+
+  beforeEach(() => {
+    processManager = createProcessManager({
+      a: { getCurrentState: () => ProcessState.READY, inFlightRequests: 2 }
+    });
+    metricsMonitor = new EventEmitter();
+    metrics = new ProxyMetrics(processManager, metricsMonitor);
+  });
+
+  test('counts swaps by outcome and observes their duration', () => {
+    processManager.emit('swap', { model: 'a', success: true, durationMs: 1500 });
+    processManager.emit('swap', { model: 'a', success: false, durationMs: 500 });
+
+    expect(seriesLines(metrics, 'modelswap_swaps_total{')).toEqual([
+      'modelswap_swaps_total{model="a",outcome="success"} 1',
+      'modelswap_swaps_total{model="a",outcome="failure"} 1'
+    ]);
+    expect(seriesLines(metrics, 'modelswap_swap_duration_seconds_sum')).toEqual([
+      'modelswap_swap_duration_seconds_sum{model="a",outcome="success"} 1.5',
+      'modelswap_swap_duration_seconds_sum{model="a",outcome="failure"} 0.5'
+    ]);
+  });
+
+  test('observes process start and health check durations', () => {
+    processManager.emit('processStart', { id: 'a', success: true, durationMs: 3000, healthCheckDurationMs: 2000 });
+
+    expect(seriesLines(metrics, 'modelswap_process_start_duration_seconds_sum')).toEqual([
+      'modelswap_process_start_duration_seconds_sum{model="a",outcome="success"} 3'
+    ]);
+    expect(seriesLines(metrics, 'modelswap_health_check_duration_seconds_count')).toEqual([
+      'modelswap_health_check_duration_seconds_count{model="a",outcome="success"} 1'
+    ]);
+  });
+
+  test('counts cancelled requests and the time spent on them', () => {
+    processManager.emit('requestCancelled', { id: 'a', durationMs: 250, inFlightRequests: 0 });
+    processManager.emit('requestCancelled', { id: 'a', durationMs: 750, inFlightRequests: 0 });
+
+    expect(seriesLines(metrics, 'modelswap_cancelled_requests_total{')).toEqual([
+      'modelswap_cancelled_requests_total{model="a"} 2'
+    ]);
+    expect(seriesLines(metrics, 'modelswap_cancelled_request_seconds_total{')).toEqual([
+      'modelswap_cancelled_request_seconds_total{model="a"} 1'
+    ]);
+  });
+
+  test('counts evictions by model and reason', () => {
+    processManager.emit('eviction', { model: 'a', reason: 'capacity', message: '', loading: 'b' });
+
+    expect(seriesLines(metrics, 'modelswap_evictions_total{')).toEqual([
+      'modelswap_evictions_total{model="a",reason="capacity"} 1'
+    ]);
+  });
+
+  test('counts tokens from metrics entries, skipping empty counts', () => {
+    metricsMonitor.emit('metrics', { model: 'a', input_tokens: 10, output_tokens: 5, cache_tokens: 0 });
+    metricsMonitor.emit('metrics', { model: 'a', input_tokens: 1, output_tokens: 0, cache_tokens: 3 });
+
+    expect(seriesLines(metrics, 'modelswap_tokens_total{')).toEqual([
+      'modelswap_tokens_total{model="a",type="input"} 11',
+      'modelswap_tokens_total{model="a",type="output"} 5',
+      'modelswap_tokens_total{model="a",type="cache"} 3'
+    ]);
+  });
+
+  test('counts answers by fallback models', () => {
+    metrics.countFallback('a', 'b');
+
+    expect(seriesLines(metrics, 'modelswap_fallbacks_total{')).toEqual([
+      'modelswap_fallbacks_total{model="a",served_by="b"} 1'
+    ]);
+  });
+
+  test('reports model state and in-flight requests at render time', () => {
+    expect(seriesLines(metrics, 'modelswap_model_state{model="a",state="ready"}')).toEqual([
+      'modelswap_model_state{model="a",state="ready"} 1'
+    ]);
+    expect(seriesLines(metrics, 'modelswap_model_state{model="a",state="stopped"}')).toEqual([
+      'modelswap_model_state{model="a",state="stopped"} 0'
+    ]);
+    expect(seriesLines(metrics, 'modelswap_model_in_flight_requests{')).toEqual([
+      'modelswap_model_in_flight_requests{model="a"} 2'
+    ]);
+  });
+
+  test('counts requests by route, method and status once the response closes', () => {
+    const req = { method: 'POST', route: { path: '/v1/chat/completions' } };
+    const res = new EventEmitter();
+    res.writableFinished = true;
+    res.statusCode = 200;
+
+    const next = jest.fn();
+    metrics.middleware()(req, res, next);
+    res.emit('close');
+
+    expect(next).toHaveBeenCalled();
+    expect(seriesLines(metrics, 'modelswap_requests_total{')).toEqual([
+      'modelswap_requests_total{endpoint="/v1/chat/completions",method="POST",status="200"} 1'
+    ]);
+  });
+
+  test('labels requests whose client went away as aborted', () => {
+    const req = { method: 'GET' };
+    const res = new EventEmitter();
+    res.writableFinished = false;
+
+    metrics.middleware()(req, res, () => {});
+    res.emit('close');
+
+    expect(seriesLines(metrics, 'modelswap_requests_total{')).toEqual([
+      'modelswap_requests_total{endpoint="other",method="GET",status="aborted"} 1'
+    ]);
+  });
+});
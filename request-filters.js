@@ -0,0 +1,141 @@
+// Per-model request body filters, applied in this order: renameParams,
+// stripParams, defaultParams, overrideParams, clampParams, systemPrompt and
+// chatTemplateKwargs. The model key is never touched.
+
+const systemPromptModes = ['inject', 'replace'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseStripParams(stripParams) {
+  return String(stripParams || '').split(',')
+    .map(param => param.trim())
+    .filter(param => param !== 'model' && param !== '');
+}
+
+function withoutModel(params) {
+  return Object.entries(params || {}).filter(([key]) => key !== 'model');
+}
+
+// Check the filters of a model and fill in defaults. Returns the normalized
+// filters, throws on invalid ones.
+function normalizeFilters(filters, label) {
+  if (!isPlainObject(filters)) {
+    throw new Error(`${label}: filters must be a mapping`);
+  }
+  const result = { stripParams: '', ...filters };
+
+  for (const key of ['defaultParams', 'overrideParams', 'clampParams', 'renameParams', 'chatTemplateKwargs']) {
+    if (result[key] !== undefined && !isPlainObject(result[key])) {
+      throw new Error(`${label}: filters.${key} must be a mapping`);
+    }
+  }
+
+  for (const [from, to] of Object.entries(result.renameParams || {})) {
+    if (typeof to !== 'string' || to === '' || from === 'model' || to === 'model') {
+      throw new Error(`${label}: filters.renameParams.${from} must name another parameter than model`);
+    }
+  }
+
+  for (const [param, range] of Object.entries(result.clampParams || {})) {
+    if (!isPlainObject(range) || (range.min === undefined && range.max === undefined)) {
+      throw new Error(`${label}: filters.clampParams.${param} must set min or max`);
+    }
+    for (const bound of ['min', 'max']) {
+      if (range[bound] !== undefined && typeof range[bound] !== 'number') {
+        throw new Error(`${label}: filters.clampParams.${param}.${bound} must be a number`);
+      }
+    }
+  }
+
+  if (result.systemPrompt !== undefined) {
+    const systemPrompt = typeof result.systemPrompt === 'string'
+      ? { content: result.systemPrompt }
+      : result.systemPrompt;
+    if (!isPlainObject(systemPrompt) || typeof systemPrompt.content !== 'string') {
+      throw new Error(`${label}: filters.systemPrompt must be a string or have a content string`);
+    }
+    result.systemPrompt = { mode: 'inject', ...systemPrompt };
+    if (!systemPromptModes.includes(result.systemPrompt.mode)) {
+      throw new Error(`${label}: filters.systemPrompt.mode must be one of ${systemPromptModes.join(', ')}`);
+    }
+  }
+
+  return result;
+}
+
+function contentText(content) {
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return content || '';
+}
+
+// inject puts the prompt before the client's system prompt, replace drops
+// the client's system prompts
+function applySystemPrompt(systemPrompt, messages) {
+  const rest = messages.filter(message => message.role !== 'system');
+  if (systemPrompt.mode === 'replace') {
+    return [{ role: 'system', content: systemPrompt.content }, ...rest];
+  }
+
+  const existing = messages.filter(message => message.role === 'system').map(message => contentText(message.content));
+  const content = [systemPrompt.content, ...existing].filter(text => text !== '').join('\n\n');
+  return [{ role: 'system', content }, ...rest];
+}
+
+// Apply a model's filters to a JSON request body, in place
+function applyFilters(filters, body) {
+  if (!filters || !isPlainObject(body)) {
+    return body;
+  }
+
+  for (const [from, to] of Object.entries(filters.renameParams || {})) {
+    if (body[from] !== undefined) {
+      if (body[to] === undefined) {
+        body[to] = body[from];
+      }
+      delete body[from];
+    }
+  }
+
+  for (const param of parseStripParams(filters.stripParams)) {
+    delete body[param];
+  }
+
+  for (const [param, value] of withoutModel(filters.defaultParams)) {
+    if (body[param] === undefined) {
+      body[param] = value;
+    }
+  }
+
+  for (const [param, value] of withoutModel(filters.overrideParams)) {
+    body[param] = value;
+  }
+
+  for (const [param, { min, max }] of Object.entries(filters.clampParams || {})) {
+    if (typeof body[param] !== 'number') {
+      continue;
+    }
+    if (min !== undefined && body[param] < min) {
+      body[param] = min;
+    }
+    if (max !== undefined && body[param] > max) {
+      body[param] = max;
+    }
+  }
+
+  if (filters.systemPrompt && Array.isArray(body.messages)) {
+    body.messages = applySystemPrompt(filters.systemPrompt, body.messages);
+  }
+
+  // Only chat requests go through the chat template
+  if (filters.chatTemplateKwargs && Array.isArray(body.messages)) {
+    body.chat_template_kwargs = { ...(body.chat_template_kwargs || {}), ...filters.chatTemplateKwargs };
+  }
+
+  return body;
+}
+
+module.exports = { applyFilters, normalizeFilters, isPlainObject };
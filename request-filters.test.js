@@ -0,0 +1,90 @@
+const { applyFilters, normalizeFilters } = require('./request-filters');
+
+const filter = (filters, body) => applyFilters(normalizeFilters(filters, 'model m'), body);
+
+describe('applyFilters', () => {
+  test('renames, strips, defaults, overrides and clamps parameters in that order', () => {
+    const body = filter({
+      renameParams: { max_completion_tokens: 'max_tokens' },
+      stripParams: 'logit_bias, model, seed',
+      defaultParams: { top_k: 40, temperature: 0.8, seed: 1 },
+      overrideParams: { n: 1, model: 'other' },
+      clampParams: { temperature: { min: 0.1, max: 1.5 }, max_tokens: { max: 4096 } }
+    }, {
+      model: 'm',
+      max_completion_tokens: 9000,
+      logit_bias: { 50256: -100 },
+      seed: 42,
+      temperature: 2,
+      n: 3
+    });
+
+    expect(body).toEqual({
+      model: 'm',
+      max_tokens: 4096,
+      top_k: 40,
+      temperature: 1.5,
+      seed: 1,
+      n: 1
+    });
+  });
+
+  test('keeps the new name when a request sets both names', () => {
+    expect(filter({ renameParams: { max_completion_tokens: 'max_tokens' } }, { max_completion_tokens: 10, max_tokens: 20 }))
+      .toEqual({ max_tokens: 20 });
+  });
+
+  test('clamps only numbers', () => {
+    expect(filter({ clampParams: { temperature: { min: 0.5 } } }, { temperature: '0.1' })).toEqual({ temperature: '0.1' });
+  });
+
+  test('puts the system prompt before the client one, or replaces it', () => {
+    const messages = () => [
+      { role: 'system', content: [{ type: 'text', text: 'Client rules.' }] },
+      { role: 'user', content: 'hi' }
+    ];
+
+    expect(filter({ systemPrompt: 'Model rules.' }, { messages: messages() }).messages).toEqual([
+      { role: 'system', content: 'Model rules.\n\nClient rules.' },
+      { role: 'user', content: 'hi' }
+    ]);
+    expect(filter({ systemPrompt: { content: 'Model rules.', mode: 'replace' } }, { messages: messages() }).messages).toEqual([
+      { role: 'system', content: 'Model rules.' },
+      { role: 'user', content: 'hi' }
+    ]);
+  });
+
+  test('adds chat template kwargs to chat requests only', () => {
+    const filters = { chatTemplateKwargs: { enable_thinking: false } };
+
+    expect(filter(filters, { messages: [], chat_template_kwargs: { a: 1 } }).chat_template_kwargs)
+      .toEqual({ a: 1, enable_thinking: false });
+    expect(filter(filters, { prompt: 'hi' })).toEqual({ prompt: 'hi' });
+  });
+
+  test('leaves bodies alone without filters or without a JSON object', () => {
+    expect(applyFilters(null, { a: 1 })).toEqual({ a: 1 });
+    expect(applyFilters(normalizeFilters({ stripParams: 'a' }, 'model m'), [1])).toEqual([1]);
+  });
+});
+
+describe('normalizeFilters', () => {
+  test('fills in an empty stripParams and the inject mode', () => {
+    expect(normalizeFilters({ systemPrompt: 'Be brief.' }, 'model m')).toEqual({
+      stripParams: '',
+      systemPrompt: { content: 'Be brief.', mode: 'inject' }
+    });
+  });
+
+  test.each([
+    ['a list', [], 'model m: filters must be a mapping'],
+    ['a defaultParams list', { defaultParams: [] }, 'model m: filters.defaultParams must be a mapping'],
+    ['a rename to model', { renameParams: { name: 'model' } }, 'model m: filters.renameParams.name must name another parameter than model'],
+    ['a clamp without bounds', { clampParams: { top_p: {} } }, 'model m: filters.clampParams.top_p must set min or max'],
+    ['a clamp bound that is not a number', { clampParams: { top_p: { max: '1' } } }, 'model m: filters.clampParams.top_p.max must be a number'],
+    ['a system prompt without content', { systemPrompt: { mode: 'inject' } }, 'model m: filters.systemPrompt must be a string or have a content string'],
+    ['an unknown system prompt mode', { systemPrompt: { content: 'x', mode: 'append' } }, 'model m: filters.systemPrompt.mode must be one of inject, replace']
+  ])('rejects %s', (name, filters, message) => {
+    expect(() => normalizeFilters(filters, 'model m')).toThrow(message);
+  });
+});
@@ -0,0 +1,185 @@
+const { rateLimit } = require('express-rate-limit');
+const { isInferenceRoute, requestedModel } = require('./auth');
+
+const WINDOW_MS = 60 * 1000;
+
+// Inference routes that only list models or report the version, they count
+// against no limit
+const listingRoutes = ['/v1/models', '/api/tags', '/api/ps', '/api/version'];
+
+// Requests per minute and concurrent in-flight requests, per client (API key
+// or client IP) and per model. Limits are read from the current config on
+// every request, 0 means unlimited:
+//  - rateLimits.perClient / rateLimits.perModel hold the defaults
+//  - an API key or a model may override them with its own
+//    requestsPerMinute and maxConcurrent
+class RequestLimiter {
+  constructor(getConfig, resolveModel) {
+    this.getConfig = getConfig;
+    this.resolveModel = resolveModel;
+
+    // In-flight request counts and the clients and models seen in the
+    // current window, for the usage report
+    this.inFlight = { client: new Map(), model: new Map() };
+    this.seen = { client: new Map(), model: new Map() };
+
+    this.clientLimiter = this.createRateLimiter('client');
+    this.modelLimiter = this.createRateLimiter('model');
+  }
+
+  // Limits that apply to a client or model
+  getLimits(scope, id, req) {
+    const config = this.getConfig();
+    const defaults = scope === 'client' ? config.rateLimits.perClient : config.rateLimits.perModel;
+    const overrides = scope === 'client' ? req && req.apiKey : config.models[id];
+
+    return {
+      requestsPerMinute: overrides && overrides.requestsPerMinute !== undefined
+        ? overrides.requestsPerMinute
+        : defaults.requestsPerMinute,
+      maxConcurrent: overrides && overrides.maxConcurrent !== undefined
+        ? overrides.maxConcurrent
+        : defaults.maxConcurrent
+    };
+  }
+
+  createRateLimiter(scope) {
+    const idOf = req => (scope === 'client' ? req.limitClient : req.limitModel);
+
+    return rateLimit({
+      windowMs: WINDOW_MS,
+      standardHeaders: 'draft-7',
+      legacyHeaders: false,
+      requestPropertyName: `${scope}RateLimit`,
+      skip: req => !idOf(req) || !(this.getLimits(scope, idOf(req), req).requestsPerMinute > 0),
+      limit: req => this.getLimits(scope, idOf(req), req).requestsPerMinute,
+      keyGenerator: req => idOf(req),
+      handler: (req, res) => {
+        const subject = scope === 'client' ? 'this client' : `model ${req.limitModel}`;
+        sendRateLimitError(res, `Rate limit reached for ${subject}: ${req[`${scope}RateLimit`].limit} requests per minute.`);
+      }
+    });
+  }
+
+  // Identify the client and model of an inference request
+  identify(req, res, next) {
+    if (!isInferenceRoute(req.path) || listingRoutes.includes(req.path)) {
+      return next();
+    }
+
+    req.limitClient = req.apiKey ? `key:${req.apiKey.key}` : `ip:${req.ip}`;
+    this.seen.client.set(req.limitClient, req.apiKey ? `key:${req.apiKey.id}` : req.limitClient);
+
+    const model = requestedModel(req, this.resolveModel);
+    req.limitModel = model ? this.resolveModel(model) : null;
+    if (req.limitModel) {
+      this.seen.model.set(req.limitModel, req.limitModel);
+    }
+
+    next();
+  }
+
+  // Reject requests over the concurrency cap of their client or model and
+  // count the others until their response is closed
+  limitConcurrency(req, res, next) {
+    if (!req.limitClient) {
+      return next();
+    }
+
+    const slots = [['client', req.limitClient]];
+    if (req.limitModel) {
+      slots.push(['model', req.limitModel]);
+    }
+
+    for (const [scope, id] of slots) {
+      const { maxConcurrent } = this.getLimits(scope, id, req);
+      if (maxConcurrent > 0 && (this.inFlight[scope].get(id) || 0) >= maxConcurrent) {
+        const subject = scope === 'client' ? 'this client' : `model ${id}`;
+        res.set('Retry-After', '1');
+        return sendRateLimitError(res, `Too many concurrent requests for ${subject}: at most ${maxConcurrent} allowed.`);
+      }
+    }
+
+    for (const [scope, id] of slots) {
+      this.inFlight[scope].set(id, (this.inFlight[scope].get(id) || 0) + 1);
+    }
+    res.once('close', () => {
+      for (const [scope, id] of slots) {
+        const count = (this.inFlight[scope].get(id) || 1) - 1;
+        if (count > 0) {
+          this.inFlight[scope].set(id, count);
+        } else {
+          this.inFlight[scope].delete(id);
+        }
+      }
+    });
+
+    next();
+  }
+
+  middleware() {
+    return [
+      (req, res, next) => this.identify(req, res, next),
+      this.clientLimiter,
+      this.modelLimiter,
+      (req, res, next) => this.limitConcurrency(req, res, next)
+    ];
+  }
+
+  // Current usage of every client and model seen in the current window
+  async getUsage() {
+    const now = Date.now();
+    const usage = { windowMs: WINDOW_MS, clients: [], models: [] };
+
+    for (const scope of ['client', 'model']) {
+      const limiter = scope === 'client' ? this.clientLimiter : this.modelLimiter;
+      for (const [id, label] of this.seen[scope]) {
+        const hits = await limiter.getKey(id);
+        const active = hits && hits.resetTime && hits.resetTime.getTime() > now;
+        const inFlight = this.inFlight[scope].get(id) || 0;
+
+        // Forget clients and models that have gone idle
+        if (!active && inFlight === 0) {
+          this.seen[scope].delete(id);
+          continue;
+        }
+
+        const limits = scope === 'client'
+          ? this.getLimits(scope, id, { apiKey: this.apiKeyPermissions(id) })
+          : this.getLimits(scope, id);
+        usage[scope === 'client' ? 'clients' : 'models'].push({
+          id: label,
+          requests: active ? hits.totalHits : 0,
+          requestsPerMinute: limits.requestsPerMinute,
+          resetTime: active ? hits.resetTime.toISOString() : null,
+          inFlight,
+          maxConcurrent: limits.maxConcurrent
+        });
+      }
+    }
+
+    return usage;
+  }
+
+  apiKeyPermissions(clientId) {
+    if (!clientId.startsWith('key:')) {
+      return null;
+    }
+    const apiKeys = this.getConfig().apiKeys || {};
+    return apiKeys[clientId.slice(4)] || null;
+  }
+}
+
+// 429 response in the OpenAI error format
+function sendRateLimitError(res, message) {
+  res.status(429).json({
+    error: {
+      message,
+      type: 'requests',
+      param: null,
+      code: 'rate_limit_exceeded'
+    }
+  });
+}
+
+module.exports = RequestLimiter;
@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+const RequestLimiter = require('./request-limiter');
+
+const resolveModel = search => (['alpha', 'beta'].includes(search) ? search : null);
+
+// An app behind the limiter. Requests to /hold stay open until released.
+function createApp(config) {
+  const limiter = new RequestLimiter(() => config, resolveModel);
+  const held = [];
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const key = req.headers['x-api-key'];
+    if (key) {
+      req.apiKey = { key, id: key, ...config.apiKeys[key] };
+    }
+    next();
+  });
+  app.use(limiter.middleware());
+  app.post('/v1/hold', (req, res) => held.push(() => res.json({ ok: true })));
+  app.all('*', (req, res) => res.json({ ok: true }));
+
+  const releaseAll = () => held.splice(0).forEach(release => release());
+  // Wait until the app holds the given number of requests
+  const holding = async (count) => {
+    while (held.length < count) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+  return { app, limiter, releaseAll, holding };
+}
+
+function limits({ perClient = {}, perModel = {}, models = {}, apiKeys = {} } = {}) {
+  return {
+    rateLimits: {
+      perClient: { requestsPerMinute: 0, maxConcurrent: 0, ...perClient },
+      perModel: { requestsPerMinute: 0, maxConcurrent: 0, ...perModel }
+    },
+    models,
+    apiKeys
+  };
+}
+
+const chat = model => ({ model, messages: [] });
+
+describe('RequestLimiter', () => {
+  test('answers 429 with Retry-After once a client used its requests per minute', async () => {
+    const { app } = createApp(limits({ perClient: { requestsPerMinute: 2 } }));
+
+    await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(200);
+    await request(app).post('/v1/chat/completions').send(chat('beta')).expect(200);
+    const res = await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(429);
+
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body.error).toMatchObject({
+      code: 'rate_limit_exceeded',
+      message: 'Rate limit reached for this client: 2 requests per minute.'
+    });
+  });
+
+  test('counts clients separately by API key and applies key overrides', async () => {
+    const { app } = createApp(limits({
+      perClient: { requestsPerMinute: 1 },
+      apiKeys: { 'sk-a': {}, 'sk-b': { requestsPerMinute: 3 } }
+    }));
+
+    await request(app).post('/v1/embeddings').set('x-api-key', 'sk-a').send(chat('alpha')).expect(200);
+    await request(app).post('/v1/embeddings').set('x-api-key', 'sk-a').send(chat('alpha')).expect(429);
+    for (let i = 0; i < 3; i++) {
+      await request(app).post('/v1/embeddings').set('x-api-key', 'sk-b').send(chat('alpha')).expect(200);
+    }
+  });
+
+  test('limits each model by its own requestsPerMinute', async () => {
+    const { app } = createApp(limits({ models: { alpha: { requestsPerMinute: 1 } } }));
+
+    await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(200);
+    const res = await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(429);
+    expect(res.body.error.message).toBe('Rate limit reached for model alpha: 1 requests per minute.');
+    await request(app).post('/v1/chat/completions').send(chat('beta')).expect(200);
+  });
+
+  test('caps concurrent requests and frees the slot once the response closes', async () => {
+    const { app, releaseAll, holding } = createApp(limits({ perModel: { maxConcurrent: 1 } }));
+
+    const first = request(app).post('/v1/hold').send(chat('alpha')).then(res => res);
+    await holding(1);
+    const res = await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(429);
+    expect(res.headers['retry-after']).toBe('1');
+    expect(res.body.error.message).toBe('Too many concurrent requests for model alpha: at most 1 allowed.');
+
+    releaseAll();
+    expect((await first).status).toBe(200);
+    await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(200);
+  });
+
+  test('leaves model listings and non-inference routes out of every limit', async () => {
+    const { app } = createApp(limits({ perClient: { requestsPerMinute: 1 } }));
+
+    for (const path of ['/v1/models', '/api/tags', '/api/ps', '/api/version', '/api/models/alpha/status', '/health']) {
+      await request(app).get(path).expect(200);
+      await request(app).get(path).expect(200);
+    }
+    await request(app).post('/v1/chat/completions').send(chat('alpha')).expect(200);
+  });
+
+  test('reports the usage of active clients and models', async () => {
+    const { app, limiter, releaseAll, holding } = createApp(limits({
+      perClient: { requestsPerMinute: 10 },
+      perModel: { maxConcurrent: 2 },
+      apiKeys: { 'sk-a': {} }
+    }));
+
+    await request(app).post('/v1/chat/completions').set('x-api-key', 'sk-a').send(chat('alpha')).expect(200);
+    const held = request(app).post('/v1/hold').set('x-api-key', 'sk-a').send(chat('alpha')).then(res => res);
+    await holding(1);
+
+    const usage = await limiter.getUsage();
+    expect(usage.clients).toEqual([
+      expect.objectContaining({ id: 'key:sk-a', requests: 2, requestsPerMinute: 10, inFlight: 1, maxConcurrent: 0 })
+    ]);
+    expect(usage.models).toEqual([
+      expect.objectContaining({ id: 'alpha', requests: 0, requestsPerMinute: 0, inFlight: 1, maxConcurrent: 2 })
+    ]);
+
+    releaseAll();
+    await held;
+  });
+});
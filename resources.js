@@ -0,0 +1,115 @@
+// Declared resources of models and the capacity budget of the host. Both are
+// flattened into pools named "kind" or "kind:device", e.g. "vram:gpu0", that
+// map to a number of bytes.
+
+const { isPlainObject } = require('./request-filters');
+
+const sizeUnits = {
+  b: 1,
+  kb: 1e3,
+  mb: 1e6,
+  gb: 1e9,
+  tb: 1e12,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4
+};
+
+const sizeRegex = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i;
+
+// Parse a size like 18GiB, 512MB or a plain number of bytes
+function parseSize(value, label) {
+  if (typeof value === 'number' && value >= 0) {
+    return Math.round(value);
+  }
+  const match = typeof value === 'string' && value.trim().match(sizeRegex);
+  const unit = match && (match[2] ? sizeUnits[match[2].toLowerCase()] : 1);
+  if (!unit) {
+    throw new Error(`${label} must be a size such as 18GiB, 512MB or a number of bytes`);
+  }
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+function formatSize(bytes) {
+  for (const unit of ['TiB', 'GiB', 'MiB', 'KiB']) {
+    const size = sizeUnits[unit.toLowerCase()];
+    if (bytes >= size) {
+      return `${+(bytes / size).toFixed(2)}${unit}`;
+    }
+  }
+  return `${bytes}B`;
+}
+
+// capacity: { vram: { gpu0: 24GiB, gpu1: 24GiB }, ram: 64GiB }
+function normalizeCapacity(capacity) {
+  if (!isPlainObject(capacity)) {
+    throw new Error('capacity must map resource kinds to sizes');
+  }
+
+  const pools = {};
+  for (const [kind, value] of Object.entries(capacity)) {
+    if (kind.includes(':')) {
+      throw new Error(`capacity: resource kind '${kind}' must not contain ':'`);
+    }
+    if (!isPlainObject(value)) {
+      pools[kind] = parseSize(value, `capacity.${kind}`);
+      continue;
+    }
+    if (Object.keys(value).length === 0) {
+      throw new Error(`capacity.${kind} must list at least one device`);
+    }
+    for (const [device, size] of Object.entries(value)) {
+      pools[`${kind}:${device}`] = parseSize(size, `capacity.${kind}.${device}`);
+    }
+  }
+  return pools;
+}
+
+// Resources of a model, checked against the capacity pools. A single size
+// for a kind with one device is placed on that device.
+function normalizeResources(resources, pools, label) {
+  if (!isPlainObject(resources)) {
+    throw new Error(`${label}: resources must map resource kinds to sizes`);
+  }
+
+  const result = {};
+  for (const [kind, value] of Object.entries(resources)) {
+    const devices = Object.keys(pools)
+      .filter(pool => pool.startsWith(`${kind}:`))
+      .map(pool => pool.slice(kind.length + 1));
+
+    let sizes;
+    if (isPlainObject(value)) {
+      sizes = Object.entries(value).map(([device, size]) => [`${kind}:${device}`, size, `${kind}.${device}`]);
+    } else if (devices.length > 1) {
+      throw new Error(`${label}: resources.${kind} must name one of the devices ${devices.join(', ')}`);
+    } else {
+      const pool = devices.length === 1 ? `${kind}:${devices[0]}` : kind;
+      sizes = [[pool, value, kind]];
+    }
+
+    for (const [pool, size, path] of sizes) {
+      const bytes = parseSize(size, `${label}: resources.${path}`);
+      if (Object.keys(pools).length > 0) {
+        if (pools[pool] === undefined) {
+          throw new Error(`${label}: resources.${path} is not in the capacity budget`);
+        }
+        if (bytes > pools[pool]) {
+          throw new Error(`${label}: resources.${path} of ${formatSize(bytes)} exceeds the capacity of ${formatSize(pools[pool])}`);
+        }
+      }
+      result[pool] = bytes;
+    }
+  }
+  return result;
+}
+
+// Pools where the used amount plus the request goes over capacity
+function overCapacity(pools, used, request) {
+  return Object.entries(request)
+    .filter(([pool, bytes]) => (used[pool] || 0) + bytes > pools[pool])
+    .map(([pool]) => pool);
+}
+
+module.exports = { parseSize, formatSize, normalizeCapacity, normalizeResources, overCapacity };
@@ -0,0 +1,101 @@
+const { parseSize, formatSize, normalizeCapacity, normalizeResources, overCapacity } = require('./resources');
+
+const GiB = 1024 ** 3;
+
+describe('parseSize', () => {
+  test('parses binary and decimal units, case-insensitively', () => {
+    expect(parseSize('18GiB', 'size')).toBe(18 * GiB);
+    expect(parseSize('512mib', 'size')).toBe(512 * 1024 ** 2);
+    expect(parseSize('2 GB', 'size')).toBe(2e9);
+    expect(parseSize('1.5KiB', 'size')).toBe(1536);
+    expect(parseSize('1TB', 'size')).toBe(1e12);
+  });
+
+  test('reads plain numbers and unitless strings as bytes', () => {
+    expect(parseSize(4096, 'size')).toBe(4096);
+    expect(parseSize('4096', 'size')).toBe(4096);
+    expect(parseSize('12B', 'size')).toBe(12);
+  });
+
+  test('rejects unknown units, negative numbers and other values', () => {
+    for (const value of ['8 gigs', '-1GiB', -5, '', null, {}]) {
+      expect(() => parseSize(value, 'capacity.vram')).toThrow('capacity.vram must be a size');
+    }
+  });
+});
+
+describe('formatSize', () => {
+  test('uses the largest binary unit that fits', () => {
+    expect(formatSize(24 * GiB)).toBe('24GiB');
+    expect(formatSize(2.5 * GiB)).toBe('2.5GiB');
+    expect(formatSize(1536)).toBe('1.5KiB');
+    expect(formatSize(12)).toBe('12B');
+  });
+});
+
+describe('normalizeCapacity', () => {
+  test('flattens kinds and devices into pools', () => {
+    expect(normalizeCapacity({ vram: { gpu0: '24GiB', gpu1: '8GiB' }, ram: '64GiB' })).toEqual({
+      'vram:gpu0': 24 * GiB,
+      'vram:gpu1': 8 * GiB,
+      ram: 64 * GiB
+    });
+  });
+
+  test('rejects kinds without devices and kinds containing a colon', () => {
+    expect(() => normalizeCapacity({ vram: {} })).toThrow('capacity.vram must list at least one device');
+    expect(() => normalizeCapacity({ 'vram:gpu0': '8GiB' })).toThrow("resource kind 'vram:gpu0' must not contain ':'");
+    expect(() => normalizeCapacity(['8GiB'])).toThrow('capacity must map resource kinds to sizes');
+  });
+});
+
+describe('normalizeResources', () => {
+  const pools = normalizeCapacity({ vram: { gpu0: '24GiB', gpu1: '8GiB' }, cpu: { socket0: '32GiB' }, ram: '64GiB' });
+
+  test('maps devices and kinds to their pools', () => {
+    expect(normalizeResources({ vram: { gpu0: '18GiB', gpu1: '2GiB' }, ram: '4GiB' }, pools, 'model a')).toEqual({
+      'vram:gpu0': 18 * GiB,
+      'vram:gpu1': 2 * GiB,
+      ram: 4 * GiB
+    });
+  });
+
+  test('places a single size on the only device of a kind', () => {
+    expect(normalizeResources({ cpu: '2GiB' }, pools, 'model a')).toEqual({ 'cpu:socket0': 2 * GiB });
+  });
+
+  test('requires a device for kinds with several devices', () => {
+    expect(() => normalizeResources({ vram: '4GiB' }, pools, 'model a'))
+      .toThrow('model a: resources.vram must name one of the devices gpu0, gpu1');
+  });
+
+  test('rejects resources outside the budget or larger than it', () => {
+    expect(() => normalizeResources({ vram: { gpu2: '1GiB' } }, pools, 'model a'))
+      .toThrow('model a: resources.vram.gpu2 is not in the capacity budget');
+    expect(() => normalizeResources({ disk: '1GiB' }, pools, 'model a'))
+      .toThrow('model a: resources.disk is not in the capacity budget');
+    expect(() => normalizeResources({ vram: { gpu1: '9GiB' } }, pools, 'model a'))
+      .toThrow('model a: resources.vram.gpu1 of 9GiB exceeds the capacity of 8GiB');
+  });
+
+  test('accepts any resources when there is no budget', () => {
+    expect(normalizeResources({ vram: '4GiB' }, {}, 'model a')).toEqual({ vram: 4 * GiB });
+  });
+});
+
+describe('overCapacity', () => {
+  const pools = { 'vram:gpu0': 24 * GiB, ram: 16 * GiB };
+
+  test('lists the pools the request does not fit in', () => {
+    const used = { 'vram:gpu0': 20 * GiB, ram: 2 * GiB };
+    expect(overCapacity(pools, used, { 'vram:gpu0': 8 * GiB, ram: 4 * GiB })).toEqual(['vram:gpu0']);
+  });
+
+  test('allows filling a pool exactly', () => {
+    expect(overCapacity(pools, { ram: 12 * GiB }, { ram: 4 * GiB })).toEqual([]);
+  });
+
+  test('treats pools without usage as empty', () => {
+    expect(overCapacity(pools, {}, { 'vram:gpu0': 24 * GiB })).toEqual([]);
+  });
+});
@@ -5,6 +5,19 @@ const { program } = require('commander');
 const fs = require('fs');
 const path = require('path');
 const ConfigLoader = require('./config-loader');
+const MetricsMonitor = require('./metrics-monitor');
+const { LogMonitor, LogMonitorTransport } = require('./log-monitor');
+const loadingState = require('./loading-state');
+const { createAuthMiddleware, isInferenceRoute, isModelAllowed, sendAuthError } = require('./auth');
+const { routeRequest } = require('./model-router');
+const { applyFilters } = require('./request-filters');
+const RequestLimiter = require('./request-limiter');
+const ProxyMetrics = require('./proxy-metrics');
+const { CaptureStore } = require('./capture-store');
+const anthropic = require('./anthropic');
+const openaiResponses = require('./openai-responses');
+const ollama = require('./ollama');
+const { getJSON, postJSON, readBody, readJSON, readSSE } = require('./upstream-client');
 const { ProcessManager, ProcessState } = require('./process-manager');
 const { createLogger, format, transports } = require('winston');
 
@@ -58,6 +71,18 @@ function getOrCreateProxy(target, pathRewrite) {
           proxyReq.write(req.rawBody);
           proxyReq.end();
         }
+
+        if (req.metricsModel && captureStore.enabled) {
+          req.upstreamRequest = { path: proxyReq.path, headers: proxyReq.getHeaders() };
+        }
+
+        // Stop upstream generation when the client goes away
+        res.once('close', () => {
+          if (!res.writableFinished) {
+            req.cancelled = true;
+            proxyReq.destroy();
+          }
+        });
       },
       
       onProxyRes: (proxyRes, req, res) => {
@@ -67,9 +92,22 @@ function getOrCreateProxy(target, pathRewrite) {
         if (proxyRes.headers['content-type']?.includes('text/event-stream')) {
           logger.debug('Streaming response detected');
         }
+
+        // Collect token metrics for inference requests
+        if (req.metricsModel) {
+          metricsMonitor.observeResponse(req.metricsModel, proxyRes, req.proxyStartTime);
+        }
+
+        if (req.upstreamRequest) {
+          captureExchange(req, target, req.upstreamRequest, proxyRes);
+        }
       },
       
       onError: (err, req, res) => {
+        if (req.cancelled) {
+          logger.debug(`Upstream request aborted after the client disconnected`);
+          return;
+        }
         logger.error(`Proxy error: ${err.message}`);
         if (!res.headersSent) {
           res.status(500).json({ error: 'Proxy error: ' + err.message });
@@ -81,6 +119,33 @@ function getOrCreateProxy(target, pathRewrite) {
   
   return proxyCache.get(cacheKey);
 }
+
+// Proxy a request to a loaded model through its process group, which keeps
+// it counted as in flight until the response is closed
+function proxyToModel(realModelName, req, res, pathRewrite) {
+  return processManager.proxyRequest(realModelName, req, res, (process) => {
+    getOrCreateProxy(process.config.proxy, pathRewrite)(req, res);
+  });
+}
+// Save an upstream exchange to the capture store
+function captureExchange(req, target, upstreamRequest, upstreamRes) {
+  captureStore.observe({
+    model: req.metricsModel,
+    requestedModel: req.requestedModel || req.metricsModel,
+    replayOf: req.replayOf,
+    method: req.method,
+    path: upstreamRequest.path,
+    target,
+    headers: upstreamRequest.headers,
+    body: req.rawBody,
+    startTime: req.proxyStartTime || Date.now()
+  }, upstreamRes);
+}
+
+// Log history for the UI and the /logs endpoints
+const proxyLogMonitor = new LogMonitor('proxy');
+const upstreamLogMonitor = new LogMonitor('upstream');
+
 // Create loggers
 const logger = createLogger({
   level: 'info',
@@ -96,7 +161,8 @@ const logger = createLogger({
         format.colorize(),
         format.simple()
       )
-    })
+    }),
+    new LogMonitorTransport(proxyLogMonitor)
   ]
 });
 
@@ -131,21 +197,31 @@ const upstreamLogger = createLogger({
         format.colorize(),
         format.simple()
       )
-    })
+    }),
+    new LogMonitorTransport(upstreamLogMonitor, { raw: true })
   ]
 });
 
 processManager = new ProcessManager(config, logger, upstreamLogger);
 
+const metricsMonitor = new MetricsMonitor(config.metricsMaxInMemory, logger);
+const proxyMetrics = new ProxyMetrics(processManager, metricsMonitor);
+const captureStore = new CaptureStore(config.captures, logger);
+
 // Create Express app
 const app = express();
 
 // Enable CORS
 app.use(cors());
 
+// Count requests and their latency for /metrics
+app.use(proxyMetrics.middleware());
+
 const getRawBody = require('raw-body');
 const contentType = require('content-type');
 
+const ollamaJSONRoutes = ['/api/chat', '/api/generate', '/api/embed', '/api/embeddings', '/api/show'];
+
 app.use(async (req, res, next) => {
   // For routes that will be proxied, capture the raw body
   const proxyRoutes = [
@@ -188,6 +264,12 @@ app.use(async (req, res, next) => {
     return next();
   }
   
+  // Ollama clients, like its documented curl examples, often send JSON
+  // without a content-type
+  if (ollamaJSONRoutes.includes(req.path)) {
+    return express.json({ limit: '50mb', type: () => true })(req, res, next);
+  }
+
   // For non-proxy routes, use regular JSON parsing
   express.json({ limit: '50mb' })(req, res, next);
 });
@@ -205,6 +287,45 @@ app.use((req, res, next) => {
 // Handle multipart forms (for audio/speech, audio/transcriptions)
 app.use('/v1/audio', express.raw({ type: 'multipart/form-data', limit: '50mb' }));
 
+// Replace a route name in the request with the model its rules pick, before
+// API keys and rate limits are checked against that model
+app.use((req, res, next) => {
+  const requestedModel = req.body && req.body.model;
+  if (typeof requestedModel !== 'string' || !isInferenceRoute(req.path)) {
+    return next();
+  }
+  const route = config.routes[requestedModel];
+  if (!route) {
+    return next();
+  }
+
+  const { model, reason } = routeRequest(route, req.body, (candidate) => {
+    const process = findModelProcess(configLoader.realModelName(candidate));
+    return !!process && process.getCurrentState() === ProcessState.READY;
+  });
+  logger.info(`Routing ${requestedModel} to ${model} (${reason})`);
+
+  req.body.model = model;
+  if (req.rawBody !== undefined) {
+    req.rawBody = JSON.stringify(req.body);
+  }
+  req.routedFrom = requestedModel;
+  res.set('x-model-swap-routed-to', configLoader.realModelName(model));
+  next();
+});
+
+// Require an API key for inference and admin routes when apiKeys are configured
+app.use(createAuthMiddleware(() => config.apiKeys, search => configLoader.realModelName(search)));
+
+// Enforce rate limits and concurrency caps before any model is swapped in.
+// Models are resolved like the Ollama routes do, so model:latest is limited
+// as model.
+const requestLimiter = new RequestLimiter(() => config, (search) => {
+  const resolved = resolveOllamaModel(search);
+  return resolved ? resolved.realModelName : null;
+});
+app.use(requestLimiter.middleware());
+
 // Log requests if enabled
 if (config.logRequests) {
   app.use((req, res, next) => {
@@ -219,27 +340,81 @@ if (config.logRequests) {
 
 // Set up event broadcasting for server-sent events
 const eventClients = new Set();
-let metricsData = [];
+
+// Broadcast model status update
+function broadcastModelStatus() {
+  const modelStatusUpdate = {
+    type: "modelStatus",
+    data: JSON.stringify(getAllModelStatuses())
+  };
+  broadcastEvent(modelStatusUpdate);
+}
 
 // Add event listener for process state changes
 function setupProcessStateListeners() {
   for (const group of processManager.processGroups.values()) {
     for (const process of group.processes.values()) {
-      process.removeAllListeners('stateChange'); // Remove any existing listeners to avoid duplicates
-      process.on('stateChange', (stateChange) => {
-        // Broadcast model status update
-        const modelStatusUpdate = {
-          type: "modelStatus",
-          data: JSON.stringify(getAllModelStatuses())
-        };
-        broadcastEvent(modelStatusUpdate);
-      });
+      process.off('stateChange', broadcastModelStatus); // Remove an existing listener to avoid duplicates
+      process.on('stateChange', broadcastModelStatus);
     }
   }
 }
 
 setupProcessStateListeners();
 
+// Announce evictions so the UI can tell why a model went away
+processManager.on('eviction', (event) => {
+  broadcastEvent({
+    type: "eviction",
+    data: JSON.stringify(event)
+  });
+});
+
+// Once a cancelled request leaves its model idle, send the configured slot
+// action to the slots that are still processing
+processManager.on('requestCancelled', ({ id, durationMs, inFlightRequests }) => {
+  logger.info(`<${id}> Client disconnected after ${durationMs}ms, upstream request aborted`);
+  const modelConfig = config.models[id];
+  if (!modelConfig || !modelConfig.slotCancelAction || inFlightRequests > 0) {
+    return;
+  }
+  cancelUpstreamSlots(id, modelConfig).catch(err => {
+    logger.warn(`<${id}> Error sending ${modelConfig.slotCancelAction} to slots: ${err.message}`);
+  });
+});
+
+// llama-server does not say which slot served a request, which is why this
+// only runs when no other request for the model is in flight
+async function cancelUpstreamSlots(id, modelConfig) {
+  const slots = await getJSON(modelConfig.proxy, '/slots');
+  for (const slot of Array.isArray(slots) ? slots : []) {
+    if (!slot.is_processing) {
+      continue;
+    }
+    const actionRes = await postJSON(modelConfig.proxy, `/slots/${slot.id}?action=${modelConfig.slotCancelAction}`, {});
+    actionRes.resume();
+    logger.info(`<${id}> Sent ${modelConfig.slotCancelAction} to slot ${slot.id}, upstream returned ${actionRes.statusCode}`);
+  }
+}
+
+// Broadcast log output from both sources
+for (const monitor of [proxyLogMonitor, upstreamLogMonitor]) {
+  monitor.on('data', (data) => {
+    broadcastEvent({
+      type: "logData",
+      data: JSON.stringify({ source: monitor.source, data })
+    });
+  });
+}
+
+// Broadcast new metrics entries as they are recorded
+metricsMonitor.on('metrics', (metric) => {
+  broadcastEvent({
+    type: "metrics",
+    data: JSON.stringify([metric])
+  });
+});
+
 function broadcastEvent(event) {
   const eventData = `data: ${JSON.stringify(event)}\n\n`;
   for (const client of eventClients) {
@@ -258,12 +433,17 @@ function getAllModelStatuses() {
   for (const [groupId, group] of processManager.processGroups) {
     for (const [modelId, process] of group.processes) {
       const modelConfig = config.models[modelId];
+      const queueStats = processManager.getQueueStats(modelId);
       statuses.push({
         id: modelId,
-        state: process.getCurrentState(),
         name: modelConfig.name || '',
         description: modelConfig.description || '',
-        unlisted: !!modelConfig.unlisted
+        unlisted: !!modelConfig.unlisted,
+        queueDepth: queueStats.queueDepth,
+        lastWaitMs: queueStats.lastWaitMs,
+        avgWaitMs: queueStats.avgWaitMs,
+        maxWaitMs: queueStats.maxWaitMs,
+        ...process.getStatus()
       });
     }
   }
@@ -293,6 +473,28 @@ app.get('/api/events', (req, res) => {
   };
   res.write(`data: ${JSON.stringify(initialModelStatus)}\n\n`);
 
+  // Replay log history for each source
+  for (const monitor of [proxyLogMonitor, upstreamLogMonitor]) {
+    const history = monitor.getHistory();
+    if (history) {
+      const logEvent = {
+        type: "logData",
+        data: JSON.stringify({ source: monitor.source, data: history })
+      };
+      res.write(`data: ${JSON.stringify(logEvent)}\n\n`);
+    }
+  }
+
+  // Send the metrics history so the Activity page starts populated
+  const initialMetrics = metricsMonitor.getMetrics();
+  if (initialMetrics.length > 0) {
+    const initialMetricsEvent = {
+      type: "metrics",
+      data: JSON.stringify(initialMetrics)
+    };
+    res.write(`data: ${JSON.stringify(initialMetricsEvent)}\n\n`);
+  }
+
   eventClients.add(res);
 
   req.on('close', () => {
@@ -300,6 +502,57 @@ app.get('/api/events', (req, res) => {
   });
 });
 
+// Stream log history followed by live output as plain text
+function streamLogs(req, res, monitors) {
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  if (req.query['no-history'] === undefined) {
+    for (const monitor of monitors) {
+      res.write(monitor.getHistory());
+    }
+  }
+
+  const onData = (data) => {
+    res.write(data);
+  };
+  for (const monitor of monitors) {
+    monitor.on('data', onData);
+  }
+
+  req.on('close', () => {
+    for (const monitor of monitors) {
+      monitor.off('data', onData);
+    }
+  });
+}
+
+// Log history for both sources
+app.get('/logs', (req, res) => {
+  res.type('text/plain').send(proxyLogMonitor.getHistory() + upstreamLogMonitor.getHistory());
+});
+
+app.get('/logs/stream', (req, res) => {
+  streamLogs(req, res, [proxyLogMonitor, upstreamLogMonitor]);
+});
+
+app.get('/logs/stream/proxy', (req, res) => {
+  streamLogs(req, res, [proxyLogMonitor]);
+});
+
+app.get('/logs/stream/upstream', (req, res) => {
+  streamLogs(req, res, [upstreamLogMonitor]);
+});
+
+// Token metrics history
+app.get('/api/metrics', (req, res) => {
+  res.json(metricsMonitor.getMetrics());
+});
+
 // List available models (Go version API compatibility)
 app.get('/api/models/', (req, res) => {
   const data = [];
@@ -360,6 +613,99 @@ app.get('/api/models/', (req, res) => {
   });
 });
 
+// Captured upstream requests and responses, newest first
+app.get('/api/captures', (req, res) => {
+  res.json({ enabled: captureStore.enabled, data: captureStore.list() });
+});
+
+app.get('/api/captures/:id', async (req, res) => {
+  const capture = await captureStore.get(req.params.id);
+  if (!capture) {
+    return res.status(404).json({ error: `Capture ${req.params.id} not found` });
+  }
+  res.json(capture);
+});
+
+// Send a captured request body again, to the captured model or to the
+// model given in the request body
+app.post('/api/captures/:id/replay', async (req, res) => {
+  const capture = await captureStore.get(req.params.id);
+  if (!capture) {
+    return res.status(404).json({ error: `Capture ${req.params.id} not found` });
+  }
+
+  let body;
+  try {
+    if (capture.request.encoding !== 'utf8' || capture.request.truncated) {
+      throw new Error('only complete JSON request bodies can be replayed');
+    }
+    body = JSON.parse(capture.request.body);
+  } catch (err) {
+    return res.status(400).json({ error: `Capture ${capture.id} cannot be replayed: ${err.message}` });
+  }
+
+  const requestedModel = (req.body && req.body.model) || capture.requestedModel;
+  const { config: modelConfig, name: realModelName, found } = configLoader.findConfig(requestedModel);
+  if (!found) {
+    return res.status(400).json({ error: `could not find real modelID for ${requestedModel}` });
+  }
+
+  try {
+    await loadModel(requestedModel);
+
+    body.model = modelConfig.useModelName || requestedModel;
+    req.body = body;
+    req.rawBody = JSON.stringify(body);
+    req.headers['content-type'] = 'application/json';
+    req.metricsModel = realModelName;
+    req.requestedModel = requestedModel;
+    req.replayOf = capture.id;
+    req.proxyStartTime = Date.now();
+
+    logger.info(`<${realModelName}> Replaying capture ${capture.id} to ${capture.request.path}`);
+    res.set('x-model-swap-served-by', realModelName);
+
+    // Proxy to the captured upstream path
+    req.url = capture.request.path;
+    req.originalUrl = capture.request.path;
+    await proxyToModel(realModelName, req, res, {});
+  } catch (err) {
+    logger.error(`Error replaying capture ${capture.id}: ${err.message}`);
+    sendError(res, `error replaying capture: ${err.message}`, err);
+  }
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', ProxyMetrics.contentType).send(proxyMetrics.render());
+});
+
+// Requests in the current rate limit window and in-flight requests per
+// client and per model
+app.get('/api/usage', async (req, res) => {
+  res.json(await requestLimiter.getUsage());
+});
+
+// Capacity budget pools with the bytes each loaded model holds
+app.get('/api/capacity', (req, res) => {
+  res.json({ enabled: processManager.hasCapacityBudget(), pools: processManager.getCapacityStatus() });
+});
+
+// State, failure reason, last exit and recent output of a model's process
+app.get('/api/models/:model/status', (req, res) => {
+  const realModelName = processManager.realModelName(req.params.model);
+  const process = realModelName ? findModelProcess(realModelName) : null;
+  if (!process) {
+    return res.status(404).json({ error: `Model ${req.params.model} not found` });
+  }
+
+  res.json({
+    id: realModelName,
+    ...processManager.getQueueStats(realModelName),
+    ...process.getStatus()
+  });
+});
+
 // Unload all models (Go version API compatibility)
 app.post('/api/models/unload', async (req, res) => {
   try {
@@ -391,57 +737,209 @@ app.post('/api/models/unload/:model', async (req, res) => {
   }
 });
 
-// Load model via upstream path and proxy to its service root
-app.get('/upstream/:model/', async (req, res) => {
+// State of a model after an explicit load or restart
+function loadResult(realModelName, startTime, alreadyLoaded) {
+  const process = findModelProcess(realModelName);
+  return {
+    model: realModelName,
+    state: process.getCurrentState(),
+    alreadyLoaded,
+    loadDurationMs: Date.now() - startTime,
+    startDurationMs: alreadyLoaded ? 0 : process.lastStartDurationMs
+  };
+}
+
+// Send the start progress of a model as server-sent events until the load
+// settles, then the result or the error. Progress is only reported once the
+// process starts for this load, which may first wait in the swap queue or
+// for the old process to stop. joinStart reports a start already under way.
+async function streamLoad(req, res, realModelName, load, startTime, alreadyLoaded, joinStart) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  const process = findModelProcess(realModelName);
+  const sendProgress = () => send({ model: realModelName, ...process.getStartProgress() });
+  let interval = null;
+  const reportProgress = () => {
+    if (!interval) {
+      sendProgress();
+      interval = setInterval(sendProgress, 1000);
+    }
+  };
+  const onStateChange = ({ newState }) => {
+    if (newState === ProcessState.STARTING) {
+      reportProgress();
+    }
+  };
+  const stopReporting = () => {
+    clearInterval(interval);
+    process.off('stateChange', onStateChange);
+  };
+  process.on('stateChange', onStateChange);
+  if (joinStart && process.getCurrentState() === ProcessState.STARTING) {
+    reportProgress();
+  }
+  req.on('close', stopReporting);
+
+  try {
+    await load;
+    send({ ...loadResult(realModelName, startTime, alreadyLoaded), done: true });
+  } catch (err) {
+    send({ model: realModelName, state: process.getCurrentState(), error: err.message, done: true });
+  } finally {
+    stopReporting();
+    res.end();
+  }
+}
+
+// Load a model without sending it a request. Returns right away unless
+// wait=true, stream=true reports the start progress as it happens.
+app.post('/api/models/load/:model', async (req, res) => {
+  const modelName = req.params.model;
+  const realModelName = processManager.realModelName(modelName);
+  if (!realModelName) {
+    return res.status(404).json({ error: `Model ${modelName} not found` });
+  }
+
+  // A model that is ready as a profile member is not loaded as a plain model
+  const startTime = Date.now();
+  const alreadyLoaded = processManager.isLoaded(processManager.resolveSwapTarget(modelName));
+  const load = loadModel(modelName);
+
+  if (req.query.stream === 'true') {
+    return streamLoad(req, res, realModelName, load, startTime, alreadyLoaded, true);
+  }
+
+  if (req.query.wait !== 'true') {
+    load.catch(err => logger.error(`Error loading model ${modelName}: ${err.message}`));
+    return res.status(202).json({ model: realModelName, state: findModelProcess(realModelName).getCurrentState() });
+  }
+
+  try {
+    await load;
+    res.json(loadResult(realModelName, startTime, alreadyLoaded));
+  } catch (err) {
+    logger.error(`Error loading model ${modelName}: ${err.message}`);
+    sendError(res, `Error loading model: ${err.message}`, err);
+  }
+});
+
+// Stop a model once its in-flight requests finished and start it again
+app.post('/api/models/restart/:model', async (req, res) => {
   const modelName = req.params.model;
+  const realModelName = processManager.realModelName(modelName);
+  if (!realModelName) {
+    return res.status(404).json({ error: `Model ${modelName} not found` });
+  }
+
+  const startTime = Date.now();
+  const restart = processManager.restartModel(modelName);
+
+  if (req.query.stream === 'true') {
+    return streamLoad(req, res, realModelName, restart, startTime, false, false);
+  }
 
   try {
-    const { processGroup, realModelName } = await processManager.swapProcessGroup(modelName);
+    await restart;
+    res.json(loadResult(realModelName, startTime, false));
+  } catch (err) {
+    logger.error(`Error restarting model ${modelName}: ${err.message}`);
+    sendError(res, `Error restarting model: ${err.message}`, err);
+  }
+});
 
-    // Get the specific process for this model and ensure it's ready
-    const process = processGroup.processes.get(realModelName);
-    if (!process) {
-      throw new Error(`Could not find process for model ${realModelName}`);
-    }
+// Swap to the requested model. The swap queue starts the process, so it is
+// ready once the swap resolves.
+async function loadModel(requestedModel) {
+  const { processGroup, realModelName } = await processManager.swapProcessGroup(requestedModel);
 
-    // Start the process if it's not already ready
-    if (process.getCurrentState() !== ProcessState.READY) {
-      logger.info(`<${realModelName}> Starting model process...`);
-      const success = await process.start();
-      if (!success) {
-        throw new Error(`Failed to start process for model ${realModelName}`);
-      }
-      logger.info(`<${realModelName}> Model process started successfully`);
-    }
+  const process = processGroup.processes.get(realModelName);
+  if (!process) {
+    throw new Error(`Could not find process for model ${realModelName}`);
+  }
 
-    // Get the model's proxy configuration
-    const modelConfig = config.models[realModelName];
-    if (!modelConfig || !modelConfig.proxy) {
-      throw new Error(`No proxy configuration found for model ${realModelName}`);
-    }
+  if (process.getCurrentState() !== ProcessState.READY) {
+    throw new Error(`Model ${realModelName} is not ready (state: ${process.getCurrentState()})`);
+  }
 
-    // Use the http-proxy-middleware to proxy the request to the model's service
-    const proxyOptions = {
-      target: modelConfig.proxy,
-      changeOrigin: true,
-      pathRewrite: {
-        [`^/upstream/${modelName}`]: ''  // Remove the /upstream/modelname part
-      },
-      onProxyReq: (proxyReq, req, res) => {
-        logger.debug(`<${realModelName}> Proxying request to ${modelConfig.proxy}`);
-      },
-      onProxyRes: (proxyRes, req, res) => {
-        logger.debug(`<${realModelName}> Received response with status ${proxyRes.statusCode}`);
-      }
-    };
+  return { processGroup, realModelName, process };
+}
+
+// Errors from a swap may carry a status code, 503 for a model whose circuit
+// breaker is open, and details such as the process's last stderr lines
+function sendError(res, message, err) {
+  const body = { error: message };
+  if (err.details) {
+    body.details = err.details;
+  }
+  res.status(err.statusCode || 500).json(body);
+}
+
+function findModelProcess(realModelName) {
+  const processGroup = processManager.findGroupByModelName(realModelName);
+  return processGroup ? processGroup.processes.get(realModelName) : null;
+}
+
+// Loads started on behalf of the loading page, keyed by requested model
+const backgroundLoads = new Map();
 
-    // Apply the proxy middleware
-    createProxyMiddleware(proxyOptions)(req, res, () => {
-      res.status(500).json({ error: 'Proxy error' });
+// When sendLoadingState is enabled, answer browser requests for a model that
+// is not ready with the loading page and start it in the background
+function serveLoadingPage(req, res, requestedModel, realModelName) {
+  if (!config.sendLoadingState || !loadingState.wantsLoadingPage(req)) {
+    return false;
+  }
+
+  const process = findModelProcess(realModelName);
+  if (!process || process.getCurrentState() === ProcessState.READY) {
+    return false;
+  }
+
+  if (!backgroundLoads.has(requestedModel)) {
+    const load = loadModel(requestedModel)
+      .catch(err => logger.error(`Error loading model ${requestedModel}: ${err.message}`))
+      .finally(() => backgroundLoads.delete(requestedModel));
+    backgroundLoads.set(requestedModel, load);
+  }
+
+  loadingState.sendLoadingPage(res, realModelName, process);
+  return true;
+}
+
+// Start progress for the loading page. Browsers cannot send an API key with
+// an EventSource, so this stays public; it only tells a model's state.
+app.get('/loading/events', (req, res) => {
+  const realModelName = typeof req.query.model === 'string' ? configLoader.realModelName(req.query.model) : null;
+  const process = realModelName ? findModelProcess(realModelName) : null;
+  if (!process) {
+    return res.status(404).json({ error: `Model ${req.query.model} not found` });
+  }
+  loadingState.streamStartProgress(req, res, realModelName, process);
+});
+
+// Load model via upstream path and proxy to its service root
+app.get('/upstream/:model/', async (req, res) => {
+  const modelName = req.params.model;
+
+  const realName = configLoader.realModelName(modelName);
+  if (realName && serveLoadingPage(req, res, modelName, realName)) {
+    return;
+  }
+
+  try {
+    const { realModelName } = await loadModel(modelName);
+
+    logger.debug(`<${realModelName}> Proxying request to ${config.models[realModelName].proxy}`);
+    await proxyToModel(realModelName, req, res, {
+      [`^/upstream/${modelName}`]: ''  // Remove the /upstream/modelname part
     });
   } catch (err) {
     logger.error(`Error loading model: ${err.message}`);
-    res.status(500).json({ error: `error loading model: ${err.message}` });
+    sendError(res, `error loading model: ${err.message}`, err);
   }
 });
 
@@ -451,7 +949,7 @@ app.get('/v1/models', (req, res) => {
   const createdTime = Math.floor(Date.now() / 1000);
 
   for (const [id, modelConfig] of Object.entries(config.models)) {
-    if (modelConfig.unlisted) {
+    if (modelConfig.unlisted || !isModelAllowed(req.apiKey, id)) {
       continue;
     }
 
@@ -491,6 +989,45 @@ app.get('/v1/models', (req, res) => {
     }
   }
 
+  // Include profile members as "profile:model"
+  for (const [profileName, members] of Object.entries(config.profiles || {})) {
+    for (const modelId of members) {
+      const modelConfig = config.models[modelId];
+      if (!modelConfig || modelConfig.unlisted || !isModelAllowed(req.apiKey, modelId)) {
+        continue;
+      }
+
+      const record = {
+        id: `${profileName}:${modelId}`,
+        object: 'model',
+        created: createdTime,
+        owned_by: 'model-swap',
+      };
+      if (modelConfig.name && modelConfig.name.trim() !== '') {
+        record.name = modelConfig.name.trim();
+      }
+      if (modelConfig.description && modelConfig.description.trim() !== '') {
+        record.description = modelConfig.description.trim();
+      }
+      data.push(record);
+    }
+  }
+
+  // Include routes the key may use at least one model of
+  for (const [routeName, route] of Object.entries(config.routes)) {
+    const models = [route.default, ...route.rules.map(rule => rule.model)];
+    if (!models.some(model => isModelAllowed(req.apiKey, configLoader.realModelName(model)))) {
+      continue;
+    }
+    data.push({
+      id: routeName,
+      object: 'model',
+      created: createdTime,
+      owned_by: 'model-swap',
+      description: `Routed to ${[...new Set(models)].join(', ')}`
+    });
+  }
+
   // Sort by the "id" key
   data.sort((a, b) => a.id.localeCompare(b.id));
 
@@ -507,163 +1044,756 @@ app.get('/v1/models', (req, res) => {
 
 // Proxy OpenAI API requests
 // Update your /v1/chat/completions route to properly handle streaming
-app.post('/v1/chat/completions', async (req, res) => {
-  const requestedModel = req.body.model;
+// Single entry point for the OpenAI-compatible endpoints that are proxied
+// as is: resolves the model and its fallbacks, loads it, rewrites JSON
+// bodies and forwards the request through the model's process group
+async function proxyInference(req, res, endpoint, requestedModel) {
   if (!requestedModel) {
     return res.status(400).json({ error: 'missing or invalid \'model\' key' });
   }
 
-  const { config: modelConfig, name: realModelName, found } = configLoader.findConfig(requestedModel);
+  const { name: requestedRealName, found } = configLoader.findConfig(requestedModel);
   if (!found) {
     return res.status(400).json({ error: `could not find real modelID for ${requestedModel}` });
   }
 
-  try {
-    const { processGroup, realModelName } = await processManager.swapProcessGroup(requestedModel);
-
-    const process = processGroup.processes.get(realModelName);
-    if (!process) {
-      throw new Error(`Could not find process for model ${realModelName}`);
-    }
+  // Multipart and other bodies are forwarded untouched
+  const isJSON = !!req.headers['content-type']?.includes('application/json');
 
-    if (process.getCurrentState() !== ProcessState.READY) {
-      logger.info(`<${realModelName}> Starting model process...`);
-      const success = await process.start();
-      if (!success) {
-        throw new Error(`Failed to start process for model ${realModelName}`);
-      }
-      logger.info(`<${realModelName}> Model process started successfully`);
-    }
+  // Stream loading progress as reasoning_content while the model starts
+  const targetProcess = findModelProcess(requestedRealName);
+  const sendProgress = endpoint === '/v1/chat/completions' && config.sendLoadingState &&
+    req.body.stream === true && targetProcess && targetProcess.getCurrentState() !== ProcessState.READY;
 
-    // Modify the request body
-    if (modelConfig.useModelName) {
-      req.body.model = modelConfig.useModelName;
-    }
+  const chain = fallbackChain(req, requestedModel);
+  req.requestedModel = requestedModel;
+  if (chain.length > 1 && isJSON && !sendProgress) {
+    return proxyWithFallbacks(req, res, chain, endpoint);
+  }
 
-    if (modelConfig.filters && modelConfig.filters.stripParams) {
-      const stripParams = modelConfig.filters.stripParams.split(',')
-        .map(param => param.trim())
-        .filter(param => param !== 'model' && param !== '');
+  let stopProgress = null;
+  if (sendProgress) {
+    stopProgress = loadingState.startLoadingProgress(res, requestedModel, targetProcess);
+  }
 
-      for (const param of stripParams) {
-        delete req.body[param];
+  try {
+    // Once progress was sent only a failed start can fall back
+    let servedModel;
+    try {
+      servedModel = await loadFirstAvailable(chain);
+    } finally {
+      if (stopProgress) {
+        stopProgress();
       }
     }
+    const { config: modelConfig, name: realModelName } = configLoader.findConfig(servedModel);
+
+    // Apply useModelName and the model's filters, and keep the raw body in
+    // sync with the modified JSON body
+    if (isJSON) {
+      applyModelRewrites(modelConfig, req.body, servedModel);
+      req.rawBody = JSON.stringify(req.body);
+    } else if (modelConfig.useModelName && req.query && req.query.model) {
+      req.query.model = modelConfig.useModelName;
+    }
 
-    // ✅ CRITICAL: Update rawBody after modifying body
-    req.rawBody = JSON.stringify(req.body);
-
-    logger.info(`Proxying /v1/chat/completions to ${modelConfig.proxy}/v1/chat/completions`);
+    req.metricsModel = realModelName;
+    req.proxyStartTime = Date.now();
+    countFallback(requestedRealName, realModelName);
+
+    logger.info(`Proxying ${endpoint} to ${modelConfig.proxy}${endpoint}`);
+
+    // Headers were already sent with the progress stream, append the upstream body
+    if (sendProgress) {
+      await processManager.proxyRequest(realModelName, req, res, () => {
+        loadingState.forwardAfterProgress(req, res, requestedModel, modelConfig.proxy, endpoint, (upstreamRes) => {
+          metricsMonitor.observeResponse(realModelName, upstreamRes, req.proxyStartTime);
+          if (captureStore.enabled) {
+            captureExchange(req, modelConfig.proxy, {
+              path: endpoint,
+              headers: { 'content-type': 'application/json', accept: 'text/event-stream' }
+            }, upstreamRes);
+          }
+        });
+      });
+      return;
+    }
 
-    const proxy = getOrCreateProxy(modelConfig.proxy, {
-      '^/v1/chat/completions': '/v1/chat/completions'
+    res.set('x-model-swap-served-by', realModelName);
+    await proxyToModel(realModelName, req, res, {
+      [`^${endpoint}`]: endpoint
     });
-    
-    proxy(req, res);
-    
   } catch (err) {
     logger.error(`Error proxying request: ${err.message}`);
-    if (!res.headersSent) {
-      res.status(500).json({ error: `error proxying request: ${err.message}` });
+    if (sendProgress) {
+      loadingState.endLoadingProgress(res, requestedModel, err.message);
+    } else if (!res.headersSent) {
+      sendError(res, `error proxying request: ${err.message}`, err);
     }
   }
-});
+}
 
+app.post('/v1/chat/completions', (req, res) => proxyInference(req, res, '/v1/chat/completions', req.body.model));
 
+// The requested model followed by its fallbacks. A `fallbacks` entry for
+// the requested name or alias takes precedence over the model's own list.
+function fallbackChain(req, requestedModel) {
+  const { config: modelConfig } = configLoader.findConfig(requestedModel);
+  const fallbacks = config.fallbacks[requestedModel] || (modelConfig && modelConfig.fallbacks) || [];
+  // A key never gets answers from a model it may not use
+  return [requestedModel, ...fallbacks.filter(model => isModelAllowed(req.apiKey, configLoader.realModelName(model)))];
+}
 
-// Support for other OpenAI API endpoints
-const openaiEndpoints = [
-  '/v1/completions',
-  '/v1/embeddings',
-  '/reranking',
-  '/rerank',
-  '/v1/rerank',
-  '/v1/reranking',
-  '/infill',
-  '/completion',
-  '/v1/audio/speech',
-  '/v1/audio/transcriptions'
-];
+function countFallback(requestedRealName, servedRealName) {
+  if (requestedRealName !== servedRealName) {
+    logger.info(`Request for ${requestedRealName} served by fallback ${servedRealName}`);
+    proxyMetrics.countFallback(requestedRealName, servedRealName);
+  }
+}
 
-for (const endpoint of openaiEndpoints) {
-  app.post(endpoint, async (req, res) => {
-    const requestedModel = endpoint.includes('/audio/transcriptions') 
-      ? req.query.model || (req.body && req.body.model) 
-      : req.body.model;
-      
-    if (!requestedModel) {
-      return res.status(400).json({ error: 'missing or invalid \'model\' key' });
+// Load the first model of a fallback chain that starts. Throws the error of
+// the last model when none does.
+async function loadFirstAvailable(chain) {
+  let lastError = null;
+  for (const candidate of chain) {
+    try {
+      await loadModel(candidate);
+      return candidate;
+    } catch (err) {
+      lastError = err;
+      if (candidate !== chain[chain.length - 1]) {
+        logger.warn(`Error loading model ${candidate}, trying the next fallback: ${err.message}`);
+      }
     }
+  }
+  throw lastError;
+}
+
+// Hop-by-hop headers of an upstream response that are not passed on
+const hopByHopHeaders = ['connection', 'keep-alive', 'transfer-encoding'];
+
+// Send a JSON request to the first model of a fallback chain that loads and
+// answers without a 5xx. Nothing is written to the client before the
+// upstream status is known, so a failed model can still be skipped.
+async function proxyWithFallbacks(req, res, chain, upstreamPath) {
+  const originalBody = JSON.stringify(req.body);
+  const requestedRealName = configLoader.realModelName(chain[0]);
+  const failures = [];
+  let lastError = null;
+
+  for (const [index, candidate] of chain.entries()) {
+    const isLast = index === chain.length - 1;
+    const { config: modelConfig, name: realModelName } = configLoader.findConfig(candidate);
 
-    const { config: modelConfig, name: realModelName, found } = configLoader.findConfig(requestedModel);
-    if (!found) {
-      return res.status(400).json({ error: `could not find real modelID for ${requestedModel}` });
+    let upstreamRes;
+    try {
+      await loadModel(candidate);
+      const body = applyModelRewrites(modelConfig, JSON.parse(originalBody), candidate);
+      const headers = req.headers.accept ? { Accept: req.headers.accept } : {};
+      upstreamRes = await sendUpstreamJSON(req, res, modelConfig, realModelName, upstreamPath, body, headers);
+    } catch (err) {
+      lastError = err;
+      failures.push(`${candidate}: ${err.message}`);
+      logger.warn(`<${realModelName}> ${upstreamPath} failed${isLast ? '' : ', trying the next fallback'}: ${err.message}`);
+      continue;
     }
 
+    if (upstreamRes.statusCode >= 500 && !isLast) {
+      const text = await readBody(upstreamRes).catch(() => '');
+      failures.push(`${candidate}: upstream returned ${upstreamRes.statusCode}`);
+      logger.warn(`<${realModelName}> ${upstreamPath} returned ${upstreamRes.statusCode}, trying the next fallback: ${text.slice(0, 200)}`);
+      continue;
+    }
+
+    countFallback(requestedRealName, realModelName);
+    const headers = { ...upstreamRes.headers };
+    for (const header of hopByHopHeaders) {
+      delete headers[header];
+    }
+    res.set('x-model-swap-served-by', realModelName);
+    res.writeHead(upstreamRes.statusCode, headers);
+    upstreamRes.pipe(res);
+    return;
+  }
+
+  logger.error(`No model in the fallback chain of ${chain[0]} could answer: ${failures.join('; ')}`);
+  if (!res.headersSent) {
+    sendError(res, `error proxying request, all fallbacks failed: ${failures.join('; ')}`, lastError);
+  }
+}
+
+
+
+// Apply a model's useModelName and filters to a JSON request body, proxied
+// as is or built by one of the translation layers. The body names the model
+// of the chain that serves it, which differs from the requested one after
+// a fallback.
+function applyModelRewrites(modelConfig, body, servedModel) {
+  body.model = servedModel;
+  if (modelConfig.useModelName) {
+    body.model = modelConfig.useModelName;
+  }
+
+  return applyFilters(modelConfig.filters, body);
+}
+
+// Send a translated request upstream, with the same metrics and captures
+// as proxied requests
+async function sendUpstreamJSON(req, res, modelConfig, realModelName, upstreamPath, body, headers = null) {
+  req.rawBody = JSON.stringify(body);
+  req.metricsModel = realModelName;
+  req.proxyStartTime = Date.now();
+
+  if (!headers) {
+    headers = body.stream ? { Accept: 'text/event-stream' } : {};
+  }
+  if (!res.headersSent) {
+    res.set('x-model-swap-served-by', realModelName);
+  }
+  // The model is busy until the upstream response ends, even when the
+  // client's response goes on, as with a fallback that is skipped
+  const upstreamRes = await processManager.proxyRequest(realModelName, req, res, async (process, release) => {
+    const response = await postJSON(modelConfig.proxy, upstreamPath, req.rawBody, { headers, clientRes: res });
+    response.once('close', release);
+    return response;
+  });
+
+  metricsMonitor.observeResponse(realModelName, upstreamRes, req.proxyStartTime);
+  if (captureStore.enabled) {
+    captureExchange(req, modelConfig.proxy, {
+      path: upstreamPath,
+      headers: { 'content-type': 'application/json', ...headers }
+    }, upstreamRes);
+  }
+
+  return upstreamRes;
+}
+
+function sendChatCompletion(req, res, modelConfig, realModelName, chatRequest) {
+  return sendUpstreamJSON(req, res, modelConfig, realModelName, '/v1/chat/completions', chatRequest);
+}
+
+function sendAnthropicError(res, status, type, message) {
+  res.status(status).json(anthropic.errorBody(type, message));
+}
+
+// Resolve and load the model of an Anthropic request, answering with an
+// Anthropic error when that fails
+async function loadAnthropicModel(req, res) {
+  const requestedModel = req.body && req.body.model;
+  if (!requestedModel) {
+    sendAnthropicError(res, 400, 'invalid_request_error', 'model: Field required');
+    return null;
+  }
+  if (!Array.isArray(req.body.messages)) {
+    sendAnthropicError(res, 400, 'invalid_request_error', 'messages: Field required');
+    return null;
+  }
+
+  const { name: requestedRealName, found } = configLoader.findConfig(requestedModel);
+  if (!found) {
+    sendAnthropicError(res, 404, 'not_found_error', `model: ${requestedModel}`);
+    return null;
+  }
+
+  let servedModel;
+  try {
+    servedModel = await loadFirstAvailable(fallbackChain(req, requestedModel));
+  } catch (err) {
+    logger.error(`Error loading model ${requestedModel}: ${err.message}`);
+    const status = err.statusCode || 500;
+    sendAnthropicError(res, status, status === 503 ? 'overloaded_error' : 'api_error', `error loading model: ${err.message}`);
+    return null;
+  }
+
+  const { config: modelConfig, name: realModelName } = configLoader.findConfig(servedModel);
+  countFallback(requestedRealName, realModelName);
+  req.requestedModel = requestedModel;
+  return { requestedModel, servedModel, modelConfig, realModelName };
+}
+
+// Anthropic Messages API, translated to chat completions
+app.post('/v1/messages', async (req, res) => {
+  const loaded = await loadAnthropicModel(req, res);
+  if (!loaded) {
+    return;
+  }
+  const { requestedModel, servedModel, modelConfig, realModelName } = loaded;
+
+  const chatRequest = applyModelRewrites(modelConfig, anthropic.toChatCompletionRequest(req.body), servedModel);
+
+  let upstreamRes;
+  try {
+    upstreamRes = await sendChatCompletion(req, res, modelConfig, realModelName, chatRequest);
+  } catch (err) {
+    logger.error(`<${realModelName}> Error sending messages request upstream: ${err.message}`);
+    return sendAnthropicError(res, 502, 'api_error', `error proxying request: ${err.message}`);
+  }
+
+  try {
+    if (upstreamRes.statusCode !== 200) {
+      const text = await readBody(upstreamRes);
+      return sendAnthropicError(res, upstreamRes.statusCode, 'api_error', `upstream returned ${upstreamRes.statusCode}: ${text}`);
+    }
+
+    if (!chatRequest.stream) {
+      const completion = await readJSON(upstreamRes);
+      return res.json(anthropic.fromChatCompletion(completion, requestedModel, req.body.stop_sequences));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    const translator = new anthropic.MessageStreamTranslator(requestedModel, event => res.write(event), {
+      stopSequences: req.body.stop_sequences,
+      inputTokens: anthropic.estimateInputTokens(chatRequest)
+    });
     try {
-      const { processGroup, realModelName } = await processManager.swapProcessGroup(requestedModel);
+      await readSSE(upstreamRes, data => translator.push(data));
+      translator.finish();
+    } catch (err) {
+      translator.fail(err.message);
+    }
+    res.end();
+  } catch (err) {
+    logger.error(`<${realModelName}> Error translating messages response: ${err.message}`);
+    if (!res.headersSent) {
+      sendAnthropicError(res, 502, 'api_error', err.message);
+    } else {
+      res.end();
+    }
+  }
+});
 
-      // Get the specific process for this model and ensure it's ready
-      const process = processGroup.processes.get(realModelName);
-      if (!process) {
-        throw new Error(`Could not find process for model ${realModelName}`);
-      }
+// Count the prompt tokens of a Messages request with the upstream tokenizer,
+// falling back to an estimate when the upstream has no tokenizer endpoints
+app.post('/v1/messages/count_tokens', async (req, res) => {
+  const loaded = await loadAnthropicModel(req, res);
+  if (!loaded) {
+    return;
+  }
+  const { servedModel, modelConfig, realModelName } = loaded;
 
-      // Start the process if it's not already ready
-      if (process.getCurrentState() !== ProcessState.READY) {
-        logger.info(`<${realModelName}> Starting model process...`);
-        const success = await process.start();
-        if (!success) {
-          throw new Error(`Failed to start process for model ${realModelName}`);
-        }
-        logger.info(`<${realModelName}> Model process started successfully`);
+  const chatRequest = applyModelRewrites(modelConfig, anthropic.toChatCompletionRequest({ ...req.body, stream: false }), servedModel);
+
+  try {
+    // Both upstream calls count as in flight, so a swap waits for them
+    const tokens = await processManager.proxyRequest(realModelName, req, res, async () => {
+      const templateRes = await postJSON(modelConfig.proxy, '/apply-template', { messages: chatRequest.messages, tools: chatRequest.tools });
+      if (templateRes.statusCode !== 200) {
+        templateRes.resume();
+        throw new Error(`apply-template returned ${templateRes.statusCode}`);
       }
+      const { prompt } = await readJSON(templateRes);
 
-      // Modify the request to use the correct model name if needed
-      if (modelConfig.useModelName) {
-        if (req.body && req.body.model) {
-          req.body.model = modelConfig.useModelName;
-        } else if (req.query && req.query.model) {
-          req.query.model = modelConfig.useModelName;
-        }
+      const tokenizeRes = await postJSON(modelConfig.proxy, '/tokenize', { content: prompt });
+      if (tokenizeRes.statusCode !== 200) {
+        tokenizeRes.resume();
+        throw new Error(`tokenize returned ${tokenizeRes.statusCode}`);
       }
+      return (await readJSON(tokenizeRes)).tokens;
+    });
+    res.json({ input_tokens: tokens.length });
+  } catch (err) {
+    logger.debug(`<${realModelName}> Estimating token count: ${err.message}`);
+    res.json({ input_tokens: anthropic.estimateInputTokens(chatRequest) });
+  }
+});
 
-      // Strip parameters if configured
-      if (modelConfig.filters && modelConfig.filters.stripParams) {
-        const stripParams = modelConfig.filters.stripParams.split(',')
-          .map(param => param.trim())
-          .filter(param => param !== 'model' && param !== '');
+// Responses created by /v1/responses, for previous_response_id chains
+const responseStore = new openaiResponses.ResponseStore();
 
-        if (req.body) {
-          for (const param of stripParams) {
-            delete req.body[param];
-          }
-        }
-      }
+// Stored responses belong to the API key that created them
+function responseOwner(req) {
+  return req.apiKey ? req.apiKey.key : null;
+}
 
-      // Proxy the request to the model's server
-      const proxyOptions = {
-        target: modelConfig.proxy,
-        changeOrigin: true,
-        pathRewrite: {
-          [`^${endpoint}`]: endpoint
-        },
-        onProxyReq: (proxyReq, req, res) => {
-          logger.debug(`<${realModelName}> Proxying request to ${modelConfig.proxy}`);
-        },
-        onProxyRes: (proxyRes, req, res) => {
-          logger.debug(`<${realModelName}> Received response with status ${proxyRes.statusCode}`);
-        }
-      };
+function sendOpenAIError(res, status, message, type, param) {
+  res.status(status).json(openaiResponses.errorBody(message, type, param));
+}
+
+// OpenAI Responses API, translated to chat completions
+app.post('/v1/responses', async (req, res) => {
+  const body = req.body || {};
+  const requestedModel = body.model;
+  if (!requestedModel) {
+    return sendOpenAIError(res, 400, 'Missing required parameter: \'model\'.', 'invalid_request_error', 'model');
+  }
+
+  const { name: requestedRealName, found } = configLoader.findConfig(requestedModel);
+  if (!found) {
+    return sendOpenAIError(res, 404, `The model '${requestedModel}' does not exist.`, 'invalid_request_error', 'model');
+  }
+
+  let history = [];
+  if (body.previous_response_id) {
+    history = responseStore.getMessages(body.previous_response_id, responseOwner(req));
+    if (!history) {
+      return sendOpenAIError(res, 404, `Previous response with id '${body.previous_response_id}' not found.`, 'invalid_request_error', 'previous_response_id');
+    }
+  }
+
+  let servedModel;
+  try {
+    servedModel = await loadFirstAvailable(fallbackChain(req, requestedModel));
+  } catch (err) {
+    logger.error(`Error loading model ${requestedModel}: ${err.message}`);
+    return sendOpenAIError(res, err.statusCode || 500, `error loading model: ${err.message}`, 'server_error', null);
+  }
+  const { config: modelConfig, name: realModelName } = configLoader.findConfig(servedModel);
+  countFallback(requestedRealName, realModelName);
+  req.requestedModel = requestedModel;
+
+  const { request, conversation } = openaiResponses.toChatCompletionRequest(body, history);
+  const chatRequest = applyModelRewrites(modelConfig, request, servedModel);
+  const response = openaiResponses.baseResponse(body, requestedModel);
 
-      // Apply the proxy middleware
-      createProxyMiddleware(proxyOptions)(req, res, () => {
-        res.status(500).json({ error: 'Proxy error' });
+  let upstreamRes;
+  try {
+    upstreamRes = await sendChatCompletion(req, res, modelConfig, realModelName, chatRequest);
+  } catch (err) {
+    logger.error(`<${realModelName}> Error sending responses request upstream: ${err.message}`);
+    return sendOpenAIError(res, 502, `error proxying request: ${err.message}`, 'server_error', null);
+  }
+
+  try {
+    if (upstreamRes.statusCode !== 200) {
+      const text = await readBody(upstreamRes);
+      return sendOpenAIError(res, upstreamRes.statusCode, `upstream returned ${upstreamRes.statusCode}: ${text}`, 'server_error', null);
+    }
+
+    let finalResponse;
+    if (!chatRequest.stream) {
+      finalResponse = openaiResponses.fromChatCompletion(await readJSON(upstreamRes), response);
+      res.json(finalResponse);
+    } else {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
       });
+      const translator = new openaiResponses.ResponseStreamTranslator(response, event => res.write(event));
+      translator.start();
+      try {
+        await readSSE(upstreamRes, data => translator.push(data));
+        finalResponse = translator.finish();
+      } catch (err) {
+        translator.fail(err.message);
+      }
+      res.end();
+    }
+
+    if (finalResponse && finalResponse.store) {
+      responseStore.save(finalResponse, conversation, responseOwner(req));
+    }
+  } catch (err) {
+    logger.error(`<${realModelName}> Error translating responses response: ${err.message}`);
+    if (!res.headersSent) {
+      sendOpenAIError(res, 502, err.message, 'server_error', null);
+    } else {
+      res.end();
+    }
+  }
+});
+
+app.get('/v1/responses/:id', (req, res) => {
+  const response = responseStore.get(req.params.id, responseOwner(req));
+  if (!response) {
+    return sendOpenAIError(res, 404, `Response with id '${req.params.id}' not found.`, 'invalid_request_error', null);
+  }
+  res.json(response);
+});
+
+app.delete('/v1/responses/:id', (req, res) => {
+  if (!responseStore.delete(req.params.id, responseOwner(req))) {
+    return sendOpenAIError(res, 404, `Response with id '${req.params.id}' not found.`, 'invalid_request_error', null);
+  }
+  res.json({ id: req.params.id, object: 'response', deleted: true });
+});
+
+// Ollama API, translated to the model's OpenAI endpoints. The routes sit
+// next to the /api/models/ routes, which keep their own meaning.
+const ollamaModifiedAt = new Date().toISOString();
+
+// Ollama clients add a ":latest" tag to untagged names
+function resolveOllamaModel(name) {
+  if (typeof name !== 'string' || name === '') {
+    return null;
+  }
+  for (const candidate of [name, name.replace(/:latest$/, '')]) {
+    const { config: modelConfig, name: realModelName, found } = configLoader.findConfig(candidate);
+    if (found) {
+      return { requestedModel: candidate, modelConfig, realModelName };
+    }
+  }
+  return null;
+}
+
+// Resolve the model of an Ollama request and check the API key may use it,
+// answering with an Ollama error when it cannot
+function findOllamaModel(req, res, name) {
+  if (!name) {
+    res.status(400).json({ error: 'model is required' });
+    return null;
+  }
+  const resolved = resolveOllamaModel(name);
+  if (!resolved) {
+    res.status(404).json({ error: `model "${name}" not found` });
+    return null;
+  }
+  if (!isModelAllowed(req.apiKey, resolved.realModelName)) {
+    res.status(403).json({ error: `this API key is not allowed to use the model ${name}` });
+    return null;
+  }
+  return resolved;
+}
+
+async function loadOllamaModel(req, res) {
+  const resolved = findOllamaModel(req, res, req.body && req.body.model);
+  if (!resolved) {
+    return null;
+  }
+
+  const startTime = Date.now();
+  let servedModel;
+  try {
+    servedModel = await loadFirstAvailable(fallbackChain(req, resolved.requestedModel));
+  } catch (err) {
+    logger.error(`Error loading model ${resolved.requestedModel}: ${err.message}`);
+    sendError(res, `error loading model: ${err.message}`, err);
+    return null;
+  }
+
+  const { config: modelConfig, name: realModelName } = configLoader.findConfig(servedModel);
+  countFallback(resolved.realModelName, realModelName);
+  req.requestedModel = resolved.requestedModel;
+  return { servedModel, modelConfig, realModelName, startTime, loadDurationMs: Date.now() - startTime };
+}
+
+// keep_alive 0 with nothing to generate asks Ollama to unload the model
+function isOllamaUnload(body) {
+  return body.keep_alive !== undefined && /^0([a-z]+)?$/.test(String(body.keep_alive));
+}
+
+// Answer a load or unload request, one without a prompt or messages
+async function handleOllamaLoad(req, res, kind) {
+  const empty = kind === 'chat' ? { message: { role: 'assistant', content: '' } } : { response: '' };
+
+  if (isOllamaUnload(req.body)) {
+    const resolved = findOllamaModel(req, res, req.body.model);
+    if (!resolved) {
+      return;
+    }
+    const processGroup = processManager.findGroupByModelName(resolved.realModelName);
+    try {
+      await processGroup.stopProcess(resolved.realModelName);
+    } catch (err) {
+      logger.error(`Error unloading model ${resolved.realModelName}: ${err.message}`);
+      return res.status(500).json({ error: `error unloading model: ${err.message}` });
+    }
+    return res.json({ model: req.body.model, created_at: new Date().toISOString(), ...empty, done: true, done_reason: 'unload' });
+  }
+
+  if (await loadOllamaModel(req, res)) {
+    res.json({ model: req.body.model, created_at: new Date().toISOString(), ...empty, done: true, done_reason: 'load' });
+  }
+}
+
+// Send a translated /api/chat or /api/generate request and answer with a
+// single Ollama response or NDJSON lines
+async function sendOllamaCompletion(req, res, kind, loaded, upstreamPath, request) {
+  const { servedModel, modelConfig, realModelName, startTime, loadDurationMs } = loaded;
+  const model = req.body.model;
+  applyModelRewrites(modelConfig, request, servedModel);
+
+  let upstreamRes;
+  try {
+    upstreamRes = await sendUpstreamJSON(req, res, modelConfig, realModelName, upstreamPath, request);
+  } catch (err) {
+    logger.error(`<${realModelName}> Error sending ${kind} request upstream: ${err.message}`);
+    return res.status(502).json({ error: `error proxying request: ${err.message}` });
+  }
+
+  try {
+    if (upstreamRes.statusCode !== 200) {
+      const text = await readBody(upstreamRes);
+      return res.status(upstreamRes.statusCode).json({ error: `upstream returned ${upstreamRes.statusCode}: ${text}` });
+    }
+
+    if (!request.stream) {
+      const completion = await readJSON(upstreamRes);
+      return res.json(ollama.fromCompletion(kind, completion, model, startTime, loadDurationMs));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache'
+    });
+    const translator = new ollama.NDJSONStreamTranslator(kind, model, line => res.write(line), startTime, loadDurationMs);
+    try {
+      await readSSE(upstreamRes, data => translator.push(data));
+      translator.finish();
     } catch (err) {
-      logger.error(`Error proxying request: ${err.message}`);
-      res.status(500).json({ error: `error proxying request: ${err.message}` });
+      translator.fail(err.message);
+    }
+    res.end();
+  } catch (err) {
+    logger.error(`<${realModelName}> Error translating ${kind} response: ${err.message}`);
+    if (!res.headersSent) {
+      res.status(502).json({ error: err.message });
+    } else {
+      res.end();
+    }
+  }
+}
+
+app.post('/api/chat', async (req, res) => {
+  if (!Array.isArray(req.body.messages) || req.body.messages.length === 0) {
+    return handleOllamaLoad(req, res, 'chat');
+  }
+
+  const loaded = await loadOllamaModel(req, res);
+  if (!loaded) {
+    return;
+  }
+  await sendOllamaCompletion(req, res, 'chat', loaded, '/v1/chat/completions', ollama.chatToChatCompletion(req.body));
+});
+
+app.post('/api/generate', async (req, res) => {
+  if (!req.body.prompt) {
+    return handleOllamaLoad(req, res, 'generate');
+  }
+
+  const loaded = await loadOllamaModel(req, res);
+  if (!loaded) {
+    return;
+  }
+  const { path: upstreamPath, request } = ollama.generateToCompletion(req.body);
+  await sendOllamaCompletion(req, res, 'generate', loaded, upstreamPath, request);
+});
+
+// /api/embed takes one input or a list, the older /api/embeddings a prompt
+async function handleOllamaEmbed(req, res, legacy) {
+  const loaded = await loadOllamaModel(req, res);
+  if (!loaded) {
+    return;
+  }
+  const { servedModel, modelConfig, realModelName, startTime, loadDurationMs } = loaded;
+  const input = legacy ? req.body.prompt : req.body.input;
+  const request = applyModelRewrites(modelConfig, { input: input === undefined ? '' : input }, servedModel);
+
+  try {
+    const upstreamRes = await sendUpstreamJSON(req, res, modelConfig, realModelName, '/v1/embeddings', request);
+    if (upstreamRes.statusCode !== 200) {
+      const text = await readBody(upstreamRes);
+      return res.status(upstreamRes.statusCode).json({ error: `upstream returned ${upstreamRes.statusCode}: ${text}` });
+    }
+
+    const result = await readJSON(upstreamRes);
+    const embeddings = [...(result.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    if (legacy) {
+      return res.json({ embedding: embeddings[0] || [] });
+    }
+    res.json({
+      model: req.body.model,
+      embeddings,
+      total_duration: (Date.now() - startTime) * 1e6,
+      load_duration: loadDurationMs * 1e6,
+      prompt_eval_count: (result.usage && result.usage.prompt_tokens) || 0
+    });
+  } catch (err) {
+    logger.error(`<${realModelName}> Error proxying embeddings request: ${err.message}`);
+    res.status(502).json({ error: `error proxying request: ${err.message}` });
+  }
+}
+
+app.post('/api/embed', (req, res) => handleOllamaEmbed(req, res, false));
+
+app.post('/api/embeddings', (req, res) => handleOllamaEmbed(req, res, true));
+
+// Configured models and their aliases
+app.get('/api/tags', (req, res) => {
+  const models = [];
+  for (const [id, modelConfig] of Object.entries(config.models)) {
+    if (modelConfig.unlisted || !isModelAllowed(req.apiKey, id)) {
+      continue;
+    }
+    const names = [id, ...(modelConfig.aliases || []).map(alias => alias.trim()).filter(alias => alias !== '')];
+    for (const name of names) {
+      models.push(ollama.modelEntry(name, modelConfig, ollamaModifiedAt));
+    }
+  }
+  models.sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ models });
+});
+
+// Running models, expiring when their unloadAfter TTL would unload them
+app.get('/api/ps', (req, res) => {
+  const models = [];
+  for (const group of processManager.processGroups.values()) {
+    for (const [modelId, process] of group.processes) {
+      if (process.getCurrentState() !== ProcessState.READY || !isModelAllowed(req.apiKey, modelId)) {
+        continue;
+      }
+      const modelConfig = config.models[modelId] || process.config;
+      const expiresAt = modelConfig.unloadAfter > 0
+        ? new Date(Math.max(process.lastRequestHandled.getTime(), process.startTime) + modelConfig.unloadAfter * 1000)
+        : new Date('2318-01-01T00:00:00Z');
+      models.push({
+        ...ollama.modelEntry(modelId, modelConfig, ollamaModifiedAt),
+        expires_at: expiresAt.toISOString(),
+        size_vram: 0
+      });
     }
+  }
+  res.json({ models });
+});
+
+app.post('/api/show', (req, res) => {
+  const resolved = findOllamaModel(req, res, req.body.model || req.body.name);
+  if (!resolved) {
+    return;
+  }
+  const metadata = resolved.modelConfig.metadata || {};
+  res.json({
+    modelfile: '',
+    parameters: '',
+    template: '',
+    details: ollama.modelDetails(resolved.modelConfig),
+    model_info: metadata,
+    capabilities: Array.isArray(metadata.capabilities) ? metadata.capabilities : ['completion'],
+    modified_at: ollamaModifiedAt
+  });
+});
+
+app.get('/api/version', (req, res) => {
+  res.json({ version: ollama.OLLAMA_VERSION });
+});
+
+// Support for other OpenAI API endpoints
+const openaiEndpoints = [
+  '/v1/completions',
+  '/v1/embeddings',
+  '/reranking',
+  '/rerank',
+  '/v1/rerank',
+  '/v1/reranking',
+  '/infill',
+  '/completion',
+  '/v1/audio/speech',
+  '/v1/audio/transcriptions'
+];
+
+for (const endpoint of openaiEndpoints) {
+  app.post(endpoint, (req, res) => {
+    const requestedModel = endpoint.includes('/audio/transcriptions')
+      ? req.query.model || (req.body && req.body.model)
+      : req.body.model;
+    return proxyInference(req, res, endpoint, requestedModel);
   });
 }
 
@@ -708,37 +1838,25 @@ app.all('/upstream/*', async (req, res) => {
     return res.status(400).json({ error: 'model id required in path' });
   }
 
+  if (serveLoadingPage(req, res, searchModelName, modelName)) {
+    return;
+  }
+
   try {
-    const { processGroup, realModelName } = await processManager.swapProcessGroup(modelName);
+    // Load using the name from the path so profile requests keep their profile
+    const { realModelName } = await loadModel(searchModelName);
     const modelConfig = config.models[realModelName];
-    const process = processGroup.processes.get(realModelName);
-    
-    if (!process) {
-      throw new Error(`Could not find process for model ${realModelName}`);
-    }
-
-    if (process.getCurrentState() !== ProcessState.READY) {
-      logger.info(`<${realModelName}> Starting model process...`);
-      const success = await process.start();
-      if (!success) {
-        throw new Error(`Failed to start process for model ${realModelName}`);
-      }
-      logger.info(`<${realModelName}> Model process started successfully`);
-    }
 
     // Log what we're about to proxy
     logger.info(`Proxying /upstream/${searchModelName}${remainingPath} to ${modelConfig.proxy}${remainingPath}`);
 
-    // Use the cached proxy
-    const proxy = getOrCreateProxy(modelConfig.proxy, {
+    await proxyToModel(realModelName, req, res, {
       [`^/upstream/${searchModelName}`]: ''  // This will strip /upstream/modelName
     });
     
-    proxy(req, res);
-    
   } catch (err) {
     logger.error(`Error proxying upstream request: ${err.message}`);
-    res.status(500).json({ error: `error proxying request: ${err.message}` });
+    sendError(res, `error proxying request: ${err.message}`, err);
   }
 });
 
@@ -766,9 +1884,8 @@ app.get('/running', (req, res) => {
   res.json({ running: runningProcesses });
 });
 
-// llama.cpp props endpoint - proxy to currently active model
-app.get('/props', async (req, res) => {
-  // Find the currently active model (the most recently started)
+// The currently active model, the most recently started one that is ready
+function findActiveModel() {
   let activeModel = null;
   let latestStartTime = 0;
 
@@ -782,6 +1899,22 @@ app.get('/props', async (req, res) => {
       }
     }
   }
+  return activeModel;
+}
+
+// /props and /slots name no model and go to the active one, so the API key
+// must be allowed to use that model
+function isActiveModelAllowed(req, res, activeModel) {
+  if (!isModelAllowed(req.apiKey, activeModel)) {
+    sendAuthError(res, 403, `This API key is not allowed to use the model ${activeModel}.`, 'model_not_allowed');
+    return false;
+  }
+  return true;
+}
+
+// llama.cpp props endpoint - proxy to currently active model
+app.get('/props', async (req, res) => {
+  const activeModel = findActiveModel();
 
   if (!activeModel) {
     // If no model is active, return proper server props structure
@@ -864,54 +1997,43 @@ app.get('/props', async (req, res) => {
     });
   }
 
-  // Get the model config to determine where to proxy
-  const modelConfig = config.models[activeModel];
-  if (!modelConfig || !modelConfig.proxy) {
-    return res.status(500).json({ error: `No proxy configuration for model ${activeModel}` });
+  if (!isActiveModelAllowed(req, res, activeModel)) {
+    return;
   }
 
-  // Create a proxy to the actual model's props endpoint
-  const proxy = getOrCreateProxy(modelConfig.proxy, {
-    '^/props': '/props'
-  });
-
-  proxy(req, res);
+  // Proxy to the actual model's props endpoint
+  try {
+    await proxyToModel(activeModel, req, res, {
+      '^/props': '/props'
+    });
+  } catch (err) {
+    logger.error(`Error proxying /props: ${err.message}`);
+    sendError(res, `error proxying request: ${err.message}`, err);
+  }
 });
 
 // llama.cpp slots endpoint - proxy to currently active model
 app.get('/slots', async (req, res) => {
-  // Find the currently active model (the most recently started)
-  let activeModel = null;
-  let latestStartTime = 0;
-
-  for (const [groupId, group] of processManager.processGroups) {
-    for (const [modelId, process] of group.processes) {
-      if (process.getCurrentState() === ProcessState.READY) {
-        if (process.startTime && process.startTime > latestStartTime) {
-          latestStartTime = process.startTime;
-          activeModel = modelId;
-        }
-      }
-    }
-  }
+  const activeModel = findActiveModel();
 
   if (!activeModel) {
     // If no model is active, return empty slots array
     return res.json([]);
   }
 
-  // Get the model config to determine where to proxy
-  const modelConfig = config.models[activeModel];
-  if (!modelConfig || !modelConfig.proxy) {
-    return res.status(500).json({ error: `No proxy configuration for model ${activeModel}` });
+  if (!isActiveModelAllowed(req, res, activeModel)) {
+    return;
   }
 
-  // Create a proxy to the actual model's slots endpoint
-  const proxy = getOrCreateProxy(modelConfig.proxy, {
-    '^/slots': '/slots'
-  });
-
-  proxy(req, res);
+  // Proxy to the actual model's slots endpoint
+  try {
+    await proxyToModel(activeModel, req, res, {
+      '^/slots': '/slots'
+    });
+  } catch (err) {
+    logger.error(`Error proxying /slots: ${err.message}`);
+    sendError(res, `error proxying request: ${err.message}`, err);
+  }
 });
 
 // Unload all models
@@ -1006,6 +2128,91 @@ if (useTLS) {
   });
 }
 
+// Reload the configuration file and reconcile running processes. A config
+// that fails to load is rejected and the last good one stays active.
+let reloadInProgress = null;
+let reloadPending = false;
+
+async function reloadConfig() {
+  logger.info(`Reloading configuration from ${options.config}`);
+
+  let newConfigLoader;
+  let newConfig;
+  try {
+    newConfigLoader = new ConfigLoader();
+    newConfig = newConfigLoader.loadConfig(options.config);
+  } catch (err) {
+    logger.error(`Config reload rejected, keeping previous configuration: ${err.message}`);
+    broadcastEvent({
+      type: "configReload",
+      data: JSON.stringify({ success: false, error: err.message })
+    });
+    return;
+  }
+
+  try {
+    const result = await processManager.reloadConfig(newConfig);
+
+    configLoader = newConfigLoader;
+    config = newConfig;
+    captureStore.configure(newConfig.captures);
+    logger.level = config.logLevel || 'info';
+    upstreamLogger.level = config.logLevel || 'info';
+    metricsMonitor.maxMetrics = config.metricsMaxInMemory > 0 ? config.metricsMaxInMemory : metricsMonitor.maxMetrics;
+
+    setupProcessStateListeners();
+
+    logger.info(`Configuration reloaded: added [${result.added.join(', ')}], removed [${result.removed.join(', ')}], rebuilt [${result.rebuilt.join(', ')}]`);
+    broadcastEvent({
+      type: "configReload",
+      data: JSON.stringify({ success: true, ...result })
+    });
+    broadcastModelStatus();
+  } catch (err) {
+    logger.error(`Error applying reloaded configuration: ${err.message}`);
+    broadcastEvent({
+      type: "configReload",
+      data: JSON.stringify({ success: false, error: err.message })
+    });
+  }
+}
+
+// Serialize reloads so a burst of file changes results in at most one
+// extra reload after the current one finishes
+function scheduleConfigReload() {
+  if (reloadInProgress) {
+    reloadPending = true;
+    return;
+  }
+
+  reloadInProgress = reloadConfig().finally(() => {
+    reloadInProgress = null;
+    if (reloadPending) {
+      reloadPending = false;
+      scheduleConfigReload();
+    }
+  });
+}
+
+if (options.watchConfig) {
+  const configPath = path.resolve(options.config);
+  const configDir = path.dirname(configPath);
+  const configFile = path.basename(configPath);
+  let debounceTimer = null;
+
+  // Watch the directory so editors that replace the file on save are handled
+  fs.watch(configDir, (eventType, filename) => {
+    if (filename !== configFile) {
+      return;
+    }
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(scheduleConfigReload, 500);
+  });
+
+  logger.info(`Watching ${configPath} for changes`);
+}
+
 // Run preload hooks if configured
 if (config.hooks.on_startup.preload && config.hooks.on_startup.preload.length > 0) {
   setTimeout(async () => {
@@ -0,0 +1,722 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const YAML = require('yaml');
+
+// These tests run server.js as a child process. Models are a node process
+// that only idles, their proxy points at a fake upstream in this process.
+jest.setTimeout(30000);
+
+const idleCmd = `${process.execPath} -e "setInterval(() => {}, 1 << 30)"`;
+const failingCmd = `${process.execPath} -e "process.exit(1)"`;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function readRequestBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+// A fake upstream that records the requests it gets. The handler answers
+// them, by default with a chat completion naming this upstream.
+async function startUpstream(name, handler = null) {
+  const upstream = { name, requests: [] };
+  upstream.server = http.createServer(async (req, res) => {
+    const text = await readRequestBody(req);
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      body = text;
+    }
+    if (req.url === '/health') {
+      return res.end('ok');
+    }
+    upstream.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (handler) {
+      return handler(req, res, body);
+    }
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(chatCompletion(name, `hello from ${name}`)));
+  });
+  await new Promise(resolve => upstream.server.listen(0, '127.0.0.1', resolve));
+  upstream.url = `http://127.0.0.1:${upstream.server.address().port}`;
+  upstream.close = () => new Promise(resolve => upstream.server.close(resolve));
+  return upstream;
+}
+
+function chatCompletion(model, content, finishReason = 'stop') {
+  return {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+  };
+}
+
+// Start server.js with the given config and wait until it answers
+async function startServer(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-swap-test-'));
+  const configPath = path.join(dir, 'config.yaml');
+  fs.writeFileSync(configPath, YAML.stringify({ healthCheckTimeout: 15, ...config }));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js'), '-c', configPath, '-l', `127.0.0.1:${port}`], {
+    cwd: dir,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const server = {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    request: (method, urlPath, options) => request(`http://127.0.0.1:${port}`, method, urlPath, options),
+    stop: async () => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGTERM');
+      }
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    try {
+      await server.request('GET', '/health');
+      return server;
+    } catch (err) {
+      if (child.exitCode !== null || Date.now() > deadline) {
+        await server.stop();
+        throw new Error(`server did not start: ${output}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+}
+
+// Send a request and collect the whole response. Objects are sent as JSON.
+function request(baseUrl, method, urlPath, { body, headers = {}, key } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(payload !== null ? { 'content-length': Buffer.byteLength(payload) } : {}),
+        ...(payload !== null && typeof body !== 'string' ? { 'content-type': 'application/json' } : {}),
+        ...(key ? { authorization: `Bearer ${key}` } : {}),
+        ...headers
+      }
+    }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch (err) {
+          // Not JSON, e.g. an event stream
+        }
+        resolve({ status: res.statusCode, headers: res.headers, text, body: json });
+      });
+    });
+    req.on('error', reject);
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+const chatBody = model => ({ model, messages: [{ role: 'user', content: 'hi' }] });
+
+describe('fallback chains', () => {
+  let good;
+  let failing;
+  let server;
+
+  beforeAll(async () => {
+    good = await startUpstream('good');
+    failing = await startUpstream('err500', (req, res) => {
+      res.statusCode = 500;
+      res.end('upstream error');
+    });
+    server = await startServer({
+      models: {
+        broken: { cmd: failingCmd, proxy: 'http://127.0.0.1:1', fallbacks: ['good'] },
+        err500: { cmd: idleCmd, proxy: failing.url, fallbacks: ['good'] },
+        good: { cmd: idleCmd, proxy: good.url },
+        renamed: { cmd: idleCmd, proxy: good.url, useModelName: 'good-upstream' },
+        brokenToRenamed: { cmd: failingCmd, proxy: 'http://127.0.0.1:1', fallbacks: ['renamed'] },
+        lonely: { cmd: idleCmd, proxy: failing.url }
+      },
+      groups: {
+        all: { swap: false, members: ['broken', 'err500', 'good', 'renamed', 'brokenToRenamed', 'lonely'] }
+      },
+      apiKeys: {
+        'sk-broken-only': { models: ['broken'] },
+        'sk-all': { models: ['*'] }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await good.close();
+    await failing.close();
+  });
+
+  beforeEach(() => {
+    good.requests.length = 0;
+    failing.requests.length = 0;
+  });
+
+  test('serves a model that fails to start from its fallback, naming the fallback upstream', async () => {
+    const res = await server.request('POST', '/v1/chat/completions', { body: chatBody('broken'), key: 'sk-all' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-model-swap-served-by']).toBe('good');
+    expect(res.body.choices[0].message.content).toBe('hello from good');
+    expect(good.requests[0].body.model).toBe('good');
+  });
+
+  test('holds back a 5xx answer and sends the request to the next model', async () => {
+    const res = await server.request('POST', '/v1/chat/completions', { body: chatBody('err500'), key: 'sk-all' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-model-swap-served-by']).toBe('good');
+    expect(failing.requests).toHaveLength(1);
+    expect(failing.requests[0].body.model).toBe('err500');
+    expect(good.requests[0].body.model).toBe('good');
+  });
+
+  test('passes the 5xx of the last model in the chain on to the client', async () => {
+    const res = await server.request('POST', '/v1/chat/completions', { body: chatBody('lonely'), key: 'sk-all' });
+
+    expect(res.status).toBe(500);
+    expect(res.text).toBe('upstream error');
+  });
+
+  test("lets the fallback's useModelName win over its name", async () => {
+    const res = await server.request('POST', '/v1/chat/completions', { body: chatBody('brokenToRenamed'), key: 'sk-all' });
+
+    expect(res.headers['x-model-swap-served-by']).toBe('renamed');
+    expect(good.requests[0].body.model).toBe('good-upstream');
+  });
+
+  test('names the fallback in translated requests', async () => {
+    const res = await server.request('POST', '/v1/messages', {
+      body: { model: 'broken', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] },
+      key: 'sk-all'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.model).toBe('broken');
+    expect(good.requests[0].body.model).toBe('good');
+  });
+
+  test('never falls back to a model the API key may not use', async () => {
+    const res = await server.request('POST', '/v1/chat/completions', { body: chatBody('broken'), key: 'sk-broken-only' });
+
+    expect(res.status).toBeGreaterThanOrEqual(500);
+    expect(good.requests).toHaveLength(0);
+  });
+});
+
+// Data of the server-sent events in a response body
+function eventData(text) {
+  return text.split('\n\n')
+    .map(event => event.split('\n').find(line => line.startsWith('data: ')))
+    .filter(Boolean)
+    .map(line => JSON.parse(line.slice('data: '.length)));
+}
+
+describe('model load and restart', () => {
+  let upstream;
+  let server;
+
+  const modelState = async model => (await server.request('GET', `/api/models/${model}/status`)).body.state;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream');
+    server = await startServer({
+      models: {
+        a: { cmd: idleCmd, proxy: upstream.url },
+        b: { cmd: idleCmd, proxy: upstream.url },
+        c: { cmd: idleCmd, proxy: upstream.url }
+      },
+      groups: {
+        all: { swap: true, members: ['a', 'b', 'c'] }
+      },
+      profiles: {
+        duo: ['a', 'b']
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('loads a model and reports a second load as already loaded', async () => {
+    const first = await server.request('POST', '/api/models/load/c?wait=true');
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ model: 'c', state: 'ready', alreadyLoaded: false });
+    expect(first.body.startDurationMs).toBeGreaterThan(0);
+
+    const second = await server.request('POST', '/api/models/load/c?wait=true');
+    expect(second.body).toMatchObject({ model: 'c', state: 'ready', alreadyLoaded: true, startDurationMs: 0 });
+  });
+
+  test('answers 202 right away unless asked to wait', async () => {
+    await server.request('POST', '/api/models/unload/a');
+    const res = await server.request('POST', '/api/models/load/a');
+
+    expect(res.status).toBe(202);
+    expect(res.body.model).toBe('a');
+  });
+
+  test('does not report a profile member as already loaded when it leaves the profile', async () => {
+    await server.request('POST', '/api/models/load/duo:b?wait=true');
+    expect(await modelState('a')).toBe('ready');
+
+    const res = await server.request('POST', '/api/models/load/b?wait=true');
+    expect(res.body).toMatchObject({ model: 'b', state: 'ready', alreadyLoaded: false });
+    expect(await modelState('a')).toBe('stopped');
+  });
+
+  test('streams the progress of the new start, then the result', async () => {
+    await server.request('POST', '/api/models/load/a?wait=true');
+    await server.request('POST', '/api/models/unload/a');
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const res = await server.request('POST', '/api/models/load/a?stream=true');
+    const events = eventData(res.text);
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(events[0]).toMatchObject({ model: 'a', state: 'starting' });
+    expect(events[0].elapsedMs).toBeLessThan(300);
+    expect(events[events.length - 1]).toMatchObject({ model: 'a', state: 'ready', alreadyLoaded: false, done: true });
+  });
+
+  test('restarts a loaded model', async () => {
+    await server.request('POST', '/api/models/load/c?wait=true');
+    const res = await server.request('POST', '/api/models/restart/c?stream=true');
+    const events = eventData(res.text);
+
+    expect(events[0]).toMatchObject({ model: 'c', state: 'starting' });
+    expect(events[events.length - 1]).toMatchObject({ model: 'c', state: 'ready', alreadyLoaded: false, done: true });
+    expect((await server.request('GET', '/api/models/c/status')).body.lastExitSignal).toBe('SIGTERM');
+  });
+
+  test('answers 404 for unknown models', async () => {
+    expect((await server.request('POST', '/api/models/load/nope')).status).toBe(404);
+    expect((await server.request('POST', '/api/models/restart/nope')).status).toBe(404);
+  });
+});
+
+describe('routes of the active model', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream', (req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(req.url === '/slots' ? [{ id: 0 }] : { model_path: 'b.gguf' }));
+    });
+    server = await startServer({
+      models: {
+        a: { cmd: idleCmd, proxy: upstream.url },
+        b: { cmd: idleCmd, proxy: upstream.url }
+      },
+      apiKeys: {
+        'sk-admin': { admin: true },
+        'sk-a': { models: ['a'] },
+        'sk-b': { models: ['b'] }
+      }
+    });
+    await server.request('POST', '/api/models/load/b?wait=true', { key: 'sk-admin' });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('answers /props and /slots for keys allowed to use the active model', async () => {
+    expect((await server.request('GET', '/props', { key: 'sk-b' })).body).toEqual({ model_path: 'b.gguf' });
+    expect((await server.request('GET', '/slots', { key: 'sk-b' })).body).toEqual([{ id: 0 }]);
+  });
+
+  test('rejects /props and /slots for keys that may not use the active model', async () => {
+    for (const route of ['/props', '/slots']) {
+      const res = await server.request('GET', route, { key: 'sk-a' });
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('model_not_allowed');
+    }
+  });
+});
+
+describe('rate limits', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream');
+    server = await startServer({
+      models: {
+        m: { cmd: idleCmd, proxy: upstream.url, requestsPerMinute: 1 }
+      },
+      rateLimits: {
+        perClient: { requestsPerMinute: 3 }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('limits Ollama requests for model:latest as the model', async () => {
+    const ollamaChat = { model: 'm:latest', stream: false, messages: [{ role: 'user', content: 'hi' }] };
+    expect((await server.request('POST', '/api/chat', { body: ollamaChat })).status).toBe(200);
+
+    const res = await server.request('POST', '/api/chat', { body: ollamaChat });
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  test('does not count model listings against the client', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await server.request('GET', '/v1/models')).status).toBe(200);
+      expect((await server.request('GET', '/api/tags')).status).toBe(200);
+    }
+  });
+});
+
+describe('loading page', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream');
+    server = await startServer({
+      sendLoadingState: true,
+      models: {
+        a: { cmd: idleCmd, proxy: upstream.url }
+      },
+      apiKeys: {
+        'sk-admin': { admin: true }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('follows the start on a stream that needs no API key', async () => {
+    const progress = server.request('GET', '/loading/events?model=a');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await server.request('POST', '/api/models/load/a', { key: 'sk-admin' });
+
+    const res = await progress;
+    const events = eventData(res.text);
+    expect(res.status).toBe(200);
+    expect(events[0]).toMatchObject({ model: 'a', state: 'stopped' });
+    expect(events.map(event => event.state)).toContain('starting');
+    expect(events[events.length - 1]).toMatchObject({ model: 'a', state: 'ready' });
+  });
+
+  test('answers 404 for unknown models', async () => {
+    expect((await server.request('GET', '/loading/events?model=nope')).status).toBe(404);
+  });
+});
+
+describe('captures', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream');
+    server = await startServer({
+      captures: { enabled: true },
+      models: {
+        a: { cmd: idleCmd, proxy: upstream.url },
+        b: { cmd: idleCmd, proxy: upstream.url }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('names the served model when replaying a capture', async () => {
+    expect((await server.request('POST', '/v1/chat/completions', { body: chatBody('a') })).status).toBe(200);
+    const [{ id }] = (await server.request('GET', '/api/captures')).body.data;
+
+    const replay = await server.request('POST', `/api/captures/${id}/replay`, { body: {} });
+    expect(replay.status).toBe(200);
+    expect(replay.headers['x-model-swap-served-by']).toBe('a');
+
+    const other = await server.request('POST', `/api/captures/${id}/replay`, { body: { model: 'b' } });
+    expect(other.headers['x-model-swap-served-by']).toBe('b');
+    expect(upstream.requests[upstream.requests.length - 1].body.model).toBe('b');
+  });
+});
+
+describe('Anthropic messages', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream', (req, res, body) => {
+      if (!body.stream) {
+        res.setHeader('content-type', 'application/json');
+        return res.end(JSON.stringify({
+          choices: [{ index: 0, message: { role: 'assistant', content: 'one two' }, finish_reason: 'stop', stop_reason: 'END' }],
+          usage: { prompt_tokens: 10, completion_tokens: 2 }
+        }));
+      }
+      res.setHeader('content-type', 'text/event-stream');
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: 'one' }, finish_reason: null }] })}\n\n`);
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 10, completion_tokens: 1 } })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+    server = await startServer({
+      models: {
+        claude: { cmd: idleCmd, proxy: upstream.url }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  const messagesBody = stream => ({
+    model: 'claude',
+    max_tokens: 10,
+    stream,
+    stop_sequences: ['END'],
+    messages: [{ role: 'user', content: 'count from one to ten, then say END' }]
+  });
+
+  test('passes the stop sequences upstream and reports the one that matched', async () => {
+    const res = await server.request('POST', '/v1/messages', { body: messagesBody(false) });
+
+    expect(upstream.requests[upstream.requests.length - 1].body.stop).toEqual(['END']);
+    expect(res.body).toMatchObject({ stop_reason: 'stop_sequence', stop_sequence: 'END', usage: { input_tokens: 10 } });
+  });
+
+  test('reports the estimated prompt tokens when the stream starts', async () => {
+    const res = await server.request('POST', '/v1/messages', { body: messagesBody(true) });
+    const events = eventData(res.text);
+
+    expect(events[0].type).toBe('message_start');
+    expect(events[0].message.usage.input_tokens).toBeGreaterThan(0);
+    expect(events.find(event => event.type === 'message_delta').usage).toEqual({ input_tokens: 10, output_tokens: 1 });
+  });
+});
+
+describe('Ollama API', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream', (req, res, body) => {
+      if (!body.stream) {
+        res.setHeader('content-type', 'application/json');
+        return res.end(JSON.stringify(chatCompletion('upstream', 'hello')));
+      }
+      res.setHeader('content-type', 'text/event-stream');
+      for (const content of ['hel', 'lo']) {
+        res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content }, finish_reason: null }] })}\n\n`);
+      }
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 4, completion_tokens: 2 } })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+    server = await startServer({
+      models: {
+        llama3: { cmd: idleCmd, proxy: upstream.url, aliases: ['llama'] },
+        hidden: { cmd: idleCmd, proxy: upstream.url, unlisted: true }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('lists configured models and their aliases', async () => {
+    const res = await server.request('GET', '/api/tags');
+
+    expect(res.body.models.map(model => model.name)).toEqual(['llama', 'llama3']);
+  });
+
+  test('streams a chat as NDJSON lines for model:latest', async () => {
+    const res = await server.request('POST', '/api/chat', {
+      body: { model: 'llama3:latest', messages: [{ role: 'user', content: 'hi' }] }
+    });
+    const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(res.headers['content-type']).toMatch('application/x-ndjson');
+    expect(upstream.requests[upstream.requests.length - 1].body).toMatchObject({ model: 'llama3', stream: true });
+    expect(lines.map(line => line.message.content)).toEqual(['hel', 'lo', '']);
+    expect(lines[2]).toMatchObject({ model: 'llama3:latest', done: true, done_reason: 'stop', eval_count: 2 });
+  });
+
+  test('loads and unloads a model with an empty chat', async () => {
+    const load = await server.request('POST', '/api/chat', { body: { model: 'llama', messages: [] } });
+    expect(load.body).toMatchObject({ done: true, done_reason: 'load' });
+    expect((await server.request('GET', '/api/ps')).body.models.map(model => model.name)).toEqual(['llama3']);
+
+    const unload = await server.request('POST', '/api/chat', { body: { model: 'llama', keep_alive: 0 } });
+    expect(unload.body).toMatchObject({ done: true, done_reason: 'unload' });
+    expect((await server.request('GET', '/api/ps')).body.models).toEqual([]);
+  });
+
+  test('answers 404 for unknown models', async () => {
+    const res = await server.request('POST', '/api/generate', { body: { model: 'nope', prompt: 'hi' } });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('model "nope" not found');
+  });
+});
+
+describe('routes', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream');
+    server = await startServer({
+      models: {
+        small: { cmd: idleCmd, proxy: upstream.url },
+        vision: { cmd: idleCmd, proxy: upstream.url, useModelName: 'vision-upstream' }
+      },
+      routes: {
+        auto: {
+          rules: [{ model: 'vision', when: { hasImages: true } }],
+          default: 'small'
+        }
+      },
+      apiKeys: {
+        'sk-small': { models: ['small'] },
+        'sk-all': { models: ['*'] }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  const imageChat = {
+    model: 'auto',
+    messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }]
+  };
+
+  test('sends each request to the model its rules pick', async () => {
+    const plain = await server.request('POST', '/v1/chat/completions', { body: chatBody('auto'), key: 'sk-small' });
+    expect(plain.status).toBe(200);
+    expect(plain.headers['x-model-swap-routed-to']).toBe('small');
+    expect(upstream.requests[upstream.requests.length - 1].body.model).toBe('small');
+
+    const vision = await server.request('POST', '/v1/chat/completions', { body: imageChat, key: 'sk-all' });
+    expect(vision.status).toBe(200);
+    expect(vision.headers['x-model-swap-routed-to']).toBe('vision');
+    expect(upstream.requests[upstream.requests.length - 1].body.model).toBe('vision-upstream');
+  });
+
+  test('checks the API key against the chosen model', async () => {
+    const res = await server.request('POST', '/v1/chat/completions', { body: imageChat, key: 'sk-small' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('model_not_allowed');
+  });
+
+  test('lists routes among the models', async () => {
+    const res = await server.request('GET', '/v1/models', { key: 'sk-small' });
+
+    expect(res.body.data.map(model => model.id)).toContain('auto');
+  });
+});
+
+describe('request filters', () => {
+  let upstream;
+  let server;
+
+  beforeAll(async () => {
+    upstream = await startUpstream('upstream');
+    server = await startServer({
+      models: {
+        m: {
+          cmd: idleCmd,
+          proxy: upstream.url,
+          filters: {
+            stripParams: 'logit_bias',
+            overrideParams: { temperature: 0.6 },
+            systemPrompt: 'Model rules.'
+          }
+        }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await upstream.close();
+  });
+
+  test('applies the model filters to the body sent upstream', async () => {
+    const res = await server.request('POST', '/v1/chat/completions', {
+      body: { ...chatBody('m'), logit_bias: { 1: 5 }, temperature: 1.2 }
+    });
+    const sent = upstream.requests[upstream.requests.length - 1].body;
+
+    expect(res.status).toBe(200);
+    expect(sent).toEqual({
+      model: 'm',
+      temperature: 0.6,
+      messages: [{ role: 'system', content: 'Model rules.' }, { role: 'user', content: 'hi' }]
+    });
+  });
+
+  test('applies them to translated requests as well', async () => {
+    await server.request('POST', '/v1/messages', {
+      body: { model: 'm', max_tokens: 5, temperature: 1, messages: [{ role: 'user', content: 'hi' }] }
+    });
+    const sent = upstream.requests[upstream.requests.length - 1].body;
+
+    expect(sent.temperature).toBe(0.6);
+    expect(sent.messages[0]).toEqual({ role: 'system', content: 'Model rules.' });
+  });
+});
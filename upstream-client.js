@@ -0,0 +1,117 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { StringDecoder } = require('string_decoder');
+
+// Direct requests to an upstream server, for endpoints that translate the
+// request or response and so cannot use the proxy middleware
+
+// POST a JSON body upstream and resolve with the response once its headers
+// arrived. When clientRes is given, the upstream request is aborted if the
+// client goes away first.
+function postJSON(target, upstreamPath, body, { headers = {}, clientRes = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(upstreamPath, target);
+    const client = url.protocol === 'https:' ? https : http;
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+
+    const upstreamReq = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      }
+    }, resolve);
+
+    upstreamReq.on('error', reject);
+
+    if (clientRes) {
+      clientRes.on('close', () => {
+        if (!clientRes.writableFinished) {
+          upstreamReq.destroy();
+        }
+      });
+    }
+
+    upstreamReq.end(payload);
+  });
+}
+
+// GET a JSON document from an upstream server
+function getJSON(target, upstreamPath) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(upstreamPath, target);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const upstreamReq = client.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`${upstreamPath} returned ${res.statusCode}`));
+        return;
+      }
+      readJSON(res).then(resolve, reject);
+    });
+    upstreamReq.on('error', reject);
+  });
+}
+
+// Read a whole response body as a string
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    res.on('error', reject);
+    res.on('aborted', () => reject(new Error('upstream response aborted')));
+  });
+}
+
+async function readJSON(res) {
+  const text = await readBody(res);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`invalid JSON from upstream: ${text.slice(0, 200)}`);
+  }
+}
+
+// Call onData with the data of every server-sent event in a response,
+// resolves when the stream ends
+function readSSE(res, onData) {
+  return new Promise((resolve, reject) => {
+    // Decode here instead of setEncoding so other listeners still get Buffers
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    const flush = (block) => {
+      const data = block.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data !== '') {
+        onData(data);
+      }
+    };
+
+    res.on('data', (chunk) => {
+      buffer += decoder.write(chunk).replace(/\r\n/g, '\n');
+      let separator;
+      while ((separator = buffer.indexOf('\n\n')) !== -1) {
+        flush(buffer.slice(0, separator));
+        buffer = buffer.slice(separator + 2);
+      }
+    });
+    res.on('end', () => {
+      buffer += decoder.end();
+      if (buffer.trim() !== '') {
+        flush(buffer);
+      }
+      resolve();
+    });
+    res.on('error', reject);
+    res.on('aborted', () => reject(new Error('upstream response aborted')));
+  });
+}
+
+module.exports = { getJSON, postJSON, readBody, readJSON, readSSE };